@@ -1,25 +1,44 @@
 // src/App.jsx
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AppProvider } from '@shopify/polaris';
 import { Provider as AppBridgeProvider } from '@shopify/app-bridge-react';
 import '@shopify/polaris/build/esm/styles.css';
+import enTranslations from '@shopify/polaris/locales/en.json';
+import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import SetupWizard from './pages/SetupWizard';
+import Trends from './pages/Trends';
+import Settings from './pages/Settings';
+import PurchaseOrders from './pages/PurchaseOrders';
+import Suppliers from './pages/Suppliers';
+import AlertHistory from './pages/AlertHistory';
+import Diagnostics from './pages/Diagnostics';
+import NotFound from './pages/NotFound';
+import Plans from './pages/Plans';
+import VariantDetail from './pages/VariantDetail';
+import AppLayout from './components/AppLayout';
+import FeatureGate from './components/FeatureGate';
 import { useEffect, useState } from 'react';
 import { EnvironmentConfig, ShopifyAppConfig } from './services/api';
+import { createLogger } from './services/logger';
+import { resolveLocale, loadLocale, t } from './services/i18n';
+
+const log = createLogger('App');
 
 export default function App() {
   const [appContext, setAppContext] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [polarisTranslations, setPolarisTranslations] = useState(null);
 
   useEffect(() => {
     // Check environment and Shopify context
     EnvironmentConfig.logEnvironment();
     const context = ShopifyAppConfig.validateAppContext();
     setAppContext(context);
-    setLoading(false);
 
-    console.log('🔧 App Configuration:', {
+    // Stay on the loading screen until our catalog and Polaris's are in
+    loadLocale(resolveLocale()).then(setPolarisTranslations);
+
+    log.debug('App configuration', {
       shop: context.shop,
       host: context.host,
       hasApiKey: !!import.meta.env.VITE_SHOPIFY_API_KEY
@@ -38,12 +57,12 @@ export default function App() {
   };
 
   // Show loading state
-  if (loading) {
+  if (!appContext || !polarisTranslations) {
     return (
-      <AppProvider i18n={{}}>
+      <AppProvider i18n={polarisTranslations || enTranslations}>
         <div style={{ padding: '40px', textAlign: 'center' }}>
-          <h1>Loading App...</h1>
-          <p>Checking Shopify configuration...</p>
+          <h1>{t('app.loadingTitle')}</h1>
+          <p>{t('app.loadingMessage')}</p>
         </div>
       </AppProvider>
     );
@@ -52,7 +71,7 @@ export default function App() {
   // If no shop parameter, show error
   if (!shop) {
     return (
-      <AppProvider i18n={{}}>
+      <AppProvider i18n={polarisTranslations}>
         <div style={{ 
           padding: '40px', 
           textAlign: 'center',
@@ -61,8 +80,8 @@ export default function App() {
           border: '1px solid #e1e5e9',
           borderRadius: '8px'
         }}>
-          <h1>⚠️ App Not Properly Loaded</h1>
-          <p>This app must be accessed through the Shopify Admin.</p>
+          <h1>{t('app.notLoadedTitle')}</h1>
+          <p>{t('app.notLoadedMessage')}</p>
           <div style={{ 
             background: '#f6f6f7', 
             padding: '15px', 
@@ -71,35 +90,49 @@ export default function App() {
             textAlign: 'left',
             fontSize: '14px'
           }}>
-            <p><strong>How to access correctly:</strong></p>
+            <p><strong>{t('app.howToAccess')}</strong></p>
             <ol style={{ textAlign: 'left', paddingLeft: '20px' }}>
-              <li>Install the app from the Shopify App Store</li>
-              <li>Open your Shopify Admin</li>
-              <li>Click on the app from your Apps list</li>
+              <li>{t('app.accessStepInstall')}</li>
+              <li>{t('app.accessStepAdmin')}</li>
+              <li>{t('app.accessStepOpen')}</li>
             </ol>
           </div>
           <p style={{ fontSize: '14px', color: '#637381', marginTop: '20px' }}>
-            Current URL: {window.location.href}
+            {t('app.currentUrl', { url: window.location.href })}
           </p>
         </div>
       </AppProvider>
     );
   }
 
-  console.log('🚀 Starting App with config:', {
+  log.debug('Starting app', {
     shop,
-    host: host ? `${host.substring(0, 20)}...` : 'missing',
+    host,
     apiKey: import.meta.env.VITE_SHOPIFY_API_KEY ? 'present' : 'missing'
   });
 
   return (
     <AppBridgeProvider config={config}>
-      <AppProvider i18n={{}}>
+      <AppProvider i18n={polarisTranslations}>
         <Router>
           <Routes>
-            <Route path="/setup-wizard" element={<SetupWizard />} />
-            <Route path="/dashboard" element={<Dashboard />} />
-            <Route path="/" element={<Navigate to="/dashboard" replace />} />
+            <Route element={<AppLayout />}>
+              <Route index element={<Home />} />
+              <Route path="/setup-wizard" element={<SetupWizard />} />
+              <Route path="/dashboard" element={<Dashboard />} />
+              <Route path="/variants/:variantId" element={<VariantDetail />} />
+              <Route path="/trends" element={<FeatureGate feature="trends" page><Trends /></FeatureGate>} />
+              <Route path="/settings" element={<Settings />} />
+              <Route
+                path="/purchase-orders"
+                element={<FeatureGate feature="purchaseOrders" page><PurchaseOrders /></FeatureGate>}
+              />
+              <Route path="/suppliers" element={<FeatureGate feature="suppliers" page><Suppliers /></FeatureGate>} />
+              <Route path="/plans" element={<Plans />} />
+              <Route path="/alert-history" element={<AlertHistory />} />
+              <Route path="/diagnostics" element={<Diagnostics />} />
+              <Route path="*" element={<NotFound />} />
+            </Route>
           </Routes>
         </Router>
       </AppProvider>
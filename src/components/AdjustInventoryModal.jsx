@@ -0,0 +1,146 @@
+// src/components/AdjustInventoryModal.jsx
+import { useState, useEffect } from 'react';
+import {
+  Modal,
+  FormLayout,
+  TextField,
+  Select,
+  ChoiceList,
+  Text,
+  BlockStack
+} from '@shopify/polaris';
+import { hasLocationLevels, getLocationQuantity } from '../services/locations';
+import { ADJUSTMENT_REASONS, formatReason } from '../services/stockMovements';
+import { t } from '../services/i18n';
+
+const getModeChoices = () => [
+  { label: t('adjust.modes.set'), value: 'set' },
+  { label: t('adjust.modes.add'), value: 'add', helpText: t('adjust.modes.addHelp') },
+];
+
+const getReasonOptions = () => ADJUSTMENT_REASONS.map((reason) => ({ label: formatReason(reason), value: reason }));
+
+const INITIAL_FORM = { mode: 'set', quantity: '', reason: 'received', note: '', location_id: '' };
+
+export default function AdjustInventoryModal({ items = [], locations = [], defaultLocationId, onClose, onSubmit }) {
+  const [formData, setFormData] = useState(INITIAL_FORM);
+  const [error, setError] = useState('');
+
+  const open = items.length > 0;
+  const single = items.length === 1 ? items[0] : null;
+  // Shopify adjusts inventory per location, so multi-location stores must pick one
+  const needsLocation = locations.length > 0 && items.some(hasLocationLevels);
+
+  // Current units at a location, to prefill "set to" for a single item
+  const quantityAt = (locationId) =>
+    single ? String(getLocationQuantity(single, locationId ? [locationId] : [])) : '';
+
+  // Start from a clean form every time the modal opens
+  useEffect(() => {
+    if (open) {
+      const locationId = needsLocation ? String(defaultLocationId ?? '') : '';
+      setFormData({ ...INITIAL_FORM, location_id: locationId, quantity: quantityAt(locationId) });
+      setError('');
+    }
+  }, [open]);
+
+  const handleChange = (field) => (value) => {
+    setFormData({ ...formData, [field]: value });
+    setError('');
+  };
+
+  const handleLocationChange = (locationId) => {
+    setFormData({
+      ...formData,
+      location_id: locationId,
+      quantity: formData.mode === 'set' ? quantityAt(locationId) : formData.quantity,
+    });
+    setError('');
+  };
+
+  const handleSubmit = () => {
+    const quantity = Number(formData.quantity);
+    if (formData.quantity === '' || !Number.isInteger(quantity)) {
+      setError(t('adjust.errors.wholeNumber'));
+      return;
+    }
+    if (formData.mode === 'set' && quantity < 0) {
+      setError(t('adjust.errors.negative'));
+      return;
+    }
+    if (formData.reason === 'other' && !formData.note.trim()) {
+      setError(t('adjust.errors.noteRequired'));
+      return;
+    }
+
+    onSubmit({
+      ...formData,
+      quantity,
+      note: formData.note.trim(),
+      location_id: formData.location_id || undefined,
+    });
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title={single
+        ? t('adjust.titleOne', { name: single.product_name })
+        : t('adjust.titleMany', { count: items.length })}
+      primaryAction={{ content: t('adjust.submit'), onAction: handleSubmit }}
+      secondaryActions={[{ content: t('common.cancel'), onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          {single && (
+            <Text as="p" variant="bodyMd" tone="subdued">
+              {t('adjust.currentStock', {
+                variant: single.variant_name || single.sku || t('adjust.defaultVariant'),
+                count: single.stock_quantity,
+              })}
+            </Text>
+          )}
+          <FormLayout>
+            {needsLocation && (
+              <Select
+                label={t('adjust.location')}
+                options={locations.map((location) => ({ label: location.name, value: String(location.id) }))}
+                value={formData.location_id}
+                onChange={handleLocationChange}
+              />
+            )}
+            <ChoiceList
+              title={t('adjust.mode')}
+              choices={getModeChoices()}
+              selected={[formData.mode]}
+              onChange={([mode]) => handleChange('mode')(mode)}
+            />
+            <TextField
+              type="number"
+              label={formData.mode === 'set' ? t('adjust.newQuantity') : t('adjust.unitsToAdd')}
+              value={formData.quantity}
+              onChange={handleChange('quantity')}
+              error={error}
+              autoComplete="off"
+            />
+            <Select
+              label={t('adjust.reason')}
+              options={getReasonOptions()}
+              value={formData.reason}
+              onChange={handleChange('reason')}
+            />
+            <TextField
+              label={t('adjust.note')}
+              value={formData.note}
+              onChange={handleChange('note')}
+              multiline={2}
+              autoComplete="off"
+              helpText={t('adjust.noteHelp')}
+            />
+          </FormLayout>
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
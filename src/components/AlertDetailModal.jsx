@@ -0,0 +1,118 @@
+// src/components/AlertDetailModal.jsx
+import { useState, useEffect } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Badge,
+  DataTable,
+  Text
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import { getDeliveryStatus, getChannelLabel, formatAlertTime } from '../services/alertHistory';
+import { createLogger } from '../services/logger';
+import { t, formatNumber, formatList } from '../services/i18n';
+
+const log = createLogger('AlertDetailModal');
+
+export default function AlertDetailModal({ alertId, onClose }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [alert, setAlert] = useState(null);
+
+  useEffect(() => {
+    if (alertId) fetchAlert();
+  }, [alertId]);
+
+  const fetchAlert = async () => {
+    setLoading(true);
+    setError('');
+    setAlert(null);
+
+    try {
+      const alertRes = await apiService.getAlert(alertId);
+      setAlert(alertRes.alert);
+    } catch (err) {
+      log.error('Alert detail error', err);
+      setError(err.response?.data?.error || t('alertHistory.detailLoadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!alertId) return null;
+
+  const status = alert && getDeliveryStatus(alert.status);
+  const items = alert?.items || [];
+
+  return (
+    <Modal
+      open
+      large
+      loading={loading}
+      onClose={onClose}
+      title={alert
+        ? t('alertHistory.detailTitle', { time: formatAlertTime(alert.sent_at || alert.created_at) })
+        : t('alertHistory.detailLoadingTitle')}
+      secondaryActions={[{ content: t('common.close'), onAction: onClose }]}
+    >
+      {error && (
+        <Modal.Section>
+          <Banner tone="critical">{error}</Banner>
+        </Modal.Section>
+      )}
+
+      {alert && (
+        <>
+          <Modal.Section>
+            <BlockStack gap="300">
+              <InlineStack gap="200" blockAlign="center">
+                <Badge tone={status.tone}>{status.label}</Badge>
+                <Text as="span" variant="bodyMd">
+                  {getChannelLabel(alert.channel)}
+                </Text>
+              </InlineStack>
+              {alert.recipients?.length > 0 && (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  {t('alertHistory.sentTo', { recipients: formatList(alert.recipients) })}
+                </Text>
+              )}
+              {alert.error && (
+                <Banner tone="critical" title={t('alertHistory.deliveryError')}>
+                  {alert.error}
+                </Banner>
+              )}
+            </BlockStack>
+          </Modal.Section>
+
+          <Modal.Section>
+            {items.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {t('alertHistory.noItems')}
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'numeric']}
+                headings={[
+                  t('table.product'),
+                  t('table.variant'),
+                  t('table.sku'),
+                  t('table.stock'),
+                  t('table.threshold')
+                ]}
+                rows={items.map((item) => [
+                  item.product_name,
+                  item.variant_name || '-',
+                  item.sku || '-',
+                  formatNumber(item.stock_quantity),
+                  item.threshold == null ? '-' : formatNumber(item.threshold),
+                ])}
+              />
+            )}
+          </Modal.Section>
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,79 @@
+// src/components/AlertScheduleFields.jsx
+import { FormLayout, Select, Checkbox } from '@shopify/polaris';
+import {
+  getFrequencyOptions,
+  getWeekdayOptions,
+  getTimeOptions,
+  TIMEZONE_OPTIONS
+} from '../services/alertSchedule';
+import { t } from '../services/i18n';
+
+export default function AlertScheduleFields({ schedule, onChange, errors = {} }) {
+  const update = (changes) => onChange({ ...schedule, ...changes });
+  const updateQuietHours = (changes) => update({ quiet_hours: { ...schedule.quiet_hours, ...changes } });
+
+  const isDigest = schedule.frequency === 'daily' || schedule.frequency === 'weekly';
+  const timeOptions = getTimeOptions();
+
+  return (
+    <FormLayout>
+      <Select
+        label={t('schedule.frequency')}
+        options={getFrequencyOptions()}
+        value={schedule.frequency}
+        onChange={(frequency) => update({ frequency })}
+      />
+
+      {isDigest && (
+        <FormLayout.Group>
+          {schedule.frequency === 'weekly' && (
+            <Select
+              label={t('schedule.day')}
+              options={getWeekdayOptions()}
+              value={schedule.weekday}
+              onChange={(weekday) => update({ weekday })}
+            />
+          )}
+          <Select
+            label={t('schedule.sendAt')}
+            options={timeOptions}
+            value={schedule.time}
+            onChange={(time) => update({ time })}
+          />
+        </FormLayout.Group>
+      )}
+
+      <Select
+        label={t('schedule.timezone')}
+        options={TIMEZONE_OPTIONS}
+        value={schedule.timezone}
+        onChange={(timezone) => update({ timezone })}
+      />
+
+      <Checkbox
+        label={t('schedule.pauseQuietHours')}
+        helpText={t('schedule.pauseQuietHoursHelp')}
+        checked={schedule.quiet_hours.enabled}
+        onChange={(enabled) => updateQuietHours({ enabled })}
+      />
+
+      {schedule.quiet_hours.enabled && (
+        <FormLayout.Group>
+          <Select
+            label={t('schedule.from')}
+            options={timeOptions}
+            value={schedule.quiet_hours.start}
+            onChange={(start) => updateQuietHours({ start })}
+          />
+          <Select
+            label={t('schedule.until')}
+            options={timeOptions}
+            value={schedule.quiet_hours.end}
+            onChange={(end) => updateQuietHours({ end })}
+            error={errors.quiet_hours}
+          />
+        </FormLayout.Group>
+      )}
+    </FormLayout>
+  );
+}
@@ -0,0 +1,43 @@
+// src/components/AppLayout.jsx
+import { useMemo, useCallback } from 'react';
+import { Outlet, useLocation } from 'react-router-dom';
+import { Frame } from '@shopify/polaris';
+import { NavigationMenu, useClientRouting, useRoutePropagation } from '@shopify/app-bridge-react';
+import Navbar from './Navbar';
+import SetupGate from './SetupGate';
+import PlanProvider from './PlanProvider';
+import RouteErrorBoundary from './RouteErrorBoundary';
+import { NAV_LINKS, useGuardedNavigate } from '../services/navigation';
+import { t } from '../services/i18n';
+
+const isEmbedded = () => window.top !== window.self;
+
+// Shared shell for every route: navigation, the store's plan, the setup check
+// and an error boundary per page
+export default function AppLayout() {
+  const location = useLocation();
+  const navigate = useGuardedNavigate();
+  const embedded = isEmbedded();
+
+  // Admin sidebar clicks arrive as App Bridge redirects; the admin URL follows ours
+  const history = useMemo(() => ({ replace: (path) => navigate(path, { replace: true }) }), [navigate]);
+  useClientRouting(history);
+  useRoutePropagation(location);
+
+  const navigationLinks = NAV_LINKS.map((link) => ({ label: t(link.label), destination: link.path }));
+  const matcher = useCallback((link) => link.destination === location.pathname, [location.pathname]);
+
+  return (
+    // Frame hosts Toast and ContextualSaveBar
+    <Frame navigation={embedded ? undefined : <Navbar />}>
+      {embedded && <NavigationMenu navigationLinks={navigationLinks} matcher={matcher} />}
+      <PlanProvider>
+        <SetupGate>
+          <RouteErrorBoundary key={location.pathname}>
+            <Outlet />
+          </RouteErrorBoundary>
+        </SetupGate>
+      </PlanProvider>
+    </Frame>
+  );
+}
@@ -0,0 +1,29 @@
+// src/components/FeatureGate.jsx
+import { Page } from '@shopify/polaris';
+import UpgradePrompt from './UpgradePrompt';
+import { usePlan } from './PlanProvider';
+import { featureName } from '../services/plans';
+import { useAppNavigate } from '../services/navigation';
+import { t } from '../services/i18n';
+
+// Renders its children when the store's plan includes the feature and an
+// upgrade prompt in their place when it doesn't. `page` puts the prompt in a
+// page of its own, for gating a whole route.
+export default function FeatureGate({ feature, page = false, children }) {
+  const navigate = useAppNavigate();
+  const { loading, hasFeature } = usePlan();
+
+  if (loading) return null;
+  if (hasFeature(feature)) return children;
+
+  if (!page) return <UpgradePrompt feature={feature} />;
+
+  return (
+    <Page
+      title={featureName(feature)}
+      backAction={{ content: t('nav.dashboard'), onAction: () => navigate('/dashboard') }}
+    >
+      <UpgradePrompt feature={feature} />
+    </Page>
+  );
+}
@@ -0,0 +1,76 @@
+// src/components/LocationSettings.jsx
+import { BlockStack, InlineStack, Box, Checkbox, TextField, Text } from '@shopify/polaris';
+import { sameId } from '../services/locations';
+import { t } from '../services/i18n';
+
+export default function LocationSettings({
+  locations = [],
+  countedIds = [],
+  thresholds = {},
+  onCountedChange,
+  onThresholdsChange,
+  errors = {}
+}) {
+  // An empty list means every location counts, including ones added later
+  const isCounted = (location) => !countedIds.length || countedIds.some((id) => sameId(id, location.id));
+
+  const handleCountedChange = (location, checked) => {
+    const current = locations.filter(isCounted).map((l) => String(l.id));
+    const next = checked
+      ? [...current, String(location.id)]
+      : current.filter((id) => !sameId(id, location.id));
+    onCountedChange(next.length === locations.length ? [] : next);
+  };
+
+  if (locations.length === 0) {
+    return (
+      <Text as="p" variant="bodyMd" tone="subdued">
+        {t('locations.empty')}
+      </Text>
+    );
+  }
+
+  return (
+    <BlockStack gap="300">
+      {locations.map((location) => (
+        <Box key={location.id} paddingBlockEnd="200" borderBlockEndWidth="025" borderColor="border">
+          <InlineStack align="space-between" blockAlign="center" gap="400">
+            <Checkbox
+              label={location.name}
+              helpText={isCounted(location) ? t('locations.counted') : t('locations.ignored')}
+              checked={isCounted(location)}
+              disabled={isCounted(location) && locations.filter(isCounted).length === 1}
+              onChange={(checked) => handleCountedChange(location, checked)}
+            />
+            <div style={{ width: '180px' }}>
+              <TextField
+                type="number"
+                label={t('locations.threshold')}
+                labelHidden
+                prefix={t('table.threshold')}
+                placeholder={t('locations.default')}
+                value={thresholds[location.id] === undefined ? '' : String(thresholds[location.id])}
+                onChange={(value) => {
+                  const next = { ...thresholds };
+                  if (value === '') {
+                    delete next[location.id];
+                  } else {
+                    next[location.id] = value;
+                  }
+                  onThresholdsChange(next);
+                }}
+                error={errors[location.id]}
+                disabled={!isCounted(location)}
+                autoComplete="off"
+                min={0}
+              />
+            </div>
+          </InlineStack>
+        </Box>
+      ))}
+      <Text as="p" variant="bodySm" tone="subdued">
+        {t('locations.thresholdHelp')}
+      </Text>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,350 @@
+// src/components/LowStockTable.jsx
+import { useState, useEffect } from 'react';
+import {
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  Filters,
+  ChoiceList,
+  EmptySearchResult,
+  Badge,
+  Button,
+  Link,
+  Text,
+  Tooltip,
+  Popover,
+  ActionList,
+  useIndexResourceState
+} from '@shopify/polaris';
+import { PAGE_SIZE, DEFAULT_QUERY, getItemId, applyTableQuery, uniqueValues } from '../services/lowStockQuery';
+import { hasLocationLevels } from '../services/locations';
+import { formatVelocity, formatDaysOfCover, formatStockoutDate } from '../services/forecast';
+import { ITEM_STATUSES } from '../services/itemStatus';
+import { t, formatNumber } from '../services/i18n';
+
+const SEVERITIES = ['critical', 'warning'];
+
+// IndexTable column index -> sort field
+const SORT_COLUMNS = { 0: 'product', 2: 'sku', 3: 'stock', 6: 'cover' };
+
+// Keeps clicks on buttons and links inside a row from toggling its selection
+const stopPropagation = (event) => event.stopPropagation();
+
+const locationBreakdown = (item) => (
+  <BlockStack gap="100">
+    {item.inventory_levels.map((level) => (
+      <Text as="p" variant="bodySm" key={level.location_id}>
+        {`${level.location_name}: ${formatNumber(level.available)}`}
+      </Text>
+    ))}
+  </BlockStack>
+);
+
+export default function LowStockTable({
+  items,
+  query,
+  onQueryChange,
+  onOpen,
+  onAdjust,
+  onRequestRestock,
+  onSetStatus,
+  highlightedIds,
+  bulkActions = []
+}) {
+  const [menuItemId, setMenuItemId] = useState(null);
+
+  const filteredItems = applyTableQuery(items, query);
+  const pageCount = Math.max(1, Math.ceil(filteredItems.length / PAGE_SIZE));
+  const page = Math.min(query.page, pageCount);
+  const pageItems = filteredItems.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  const {
+    selectedResources,
+    allResourcesSelected,
+    handleSelectionChange,
+    clearSelection
+  } = useIndexResourceState(pageItems, { resourceIDResolver: getItemId });
+
+  // Selection only makes sense for the rows currently on screen
+  const queryKey = JSON.stringify(query);
+  const pageKey = pageItems.map(getItemId).join(',');
+  useEffect(() => {
+    clearSelection();
+  }, [queryKey, pageKey]);
+
+  const selectedItems = allResourcesSelected
+    ? pageItems
+    : pageItems.filter((item) => selectedResources.includes(getItemId(item)));
+
+  const promotedBulkActions = [
+    {
+      content: t('table.adjustInventory'),
+      onAction: () => onAdjust(selectedItems),
+    },
+    ...bulkActions.map((action) => ({
+      content: action.content,
+      onAction: () => action.onAction(selectedItems),
+    })),
+  ];
+
+  const statusActions = (getItems) => [
+    { content: t('table.acknowledge'), onAction: () => onSetStatus(getItems(), ITEM_STATUSES.acknowledged) },
+    { content: t('table.snooze'), onAction: () => onSetStatus(getItems(), ITEM_STATUSES.snoozed) },
+    { content: t('table.ignore'), destructive: true, onAction: () => onSetStatus(getItems(), ITEM_STATUSES.ignored) },
+  ];
+
+  // Any change to what is shown starts again from the first page
+  const updateQuery = (changes) => onQueryChange({ ...query, page: 1, ...changes });
+
+  const vendors = uniqueValues(items, 'vendor');
+  const productTypes = uniqueValues(items, 'product_type');
+
+  const filters = [
+    {
+      key: 'severity',
+      label: t('table.severity'),
+      filter: (
+        <ChoiceList
+          title={t('table.severity')}
+          titleHidden
+          choices={SEVERITIES.map((severity) => ({ label: t(`table.${severity}`), value: severity }))}
+          selected={query.severity}
+          onChange={(severity) => updateQuery({ severity })}
+          allowMultiple
+        />
+      ),
+      shortcut: true,
+    },
+    {
+      key: 'vendor',
+      label: t('table.vendor'),
+      filter: (
+        <ChoiceList
+          title={t('table.vendor')}
+          titleHidden
+          choices={vendors.map((vendor) => ({ label: vendor, value: vendor }))}
+          selected={query.vendor}
+          onChange={(vendor) => updateQuery({ vendor })}
+          allowMultiple
+        />
+      ),
+    },
+    {
+      key: 'type',
+      label: t('table.productType'),
+      filter: (
+        <ChoiceList
+          title={t('table.productType')}
+          titleHidden
+          choices={productTypes.map((type) => ({ label: type, value: type }))}
+          selected={query.type}
+          onChange={(type) => updateQuery({ type })}
+          allowMultiple
+        />
+      ),
+    },
+  ];
+
+  const appliedFilters = [
+    query.severity.length && {
+      key: 'severity',
+      label: t('table.appliedFilter', {
+        filter: t('table.severity'),
+        values: query.severity.map((severity) => t(`table.${severity}`)).join(', '),
+      }),
+      onRemove: () => updateQuery({ severity: [] }),
+    },
+    query.vendor.length && {
+      key: 'vendor',
+      label: t('table.appliedFilter', { filter: t('table.vendor'), values: query.vendor.join(', ') }),
+      onRemove: () => updateQuery({ vendor: [] }),
+    },
+    query.type.length && {
+      key: 'type',
+      label: t('table.appliedFilter', { filter: t('table.productType'), values: query.type.join(', ') }),
+      onRemove: () => updateQuery({ type: [] }),
+    },
+  ].filter(Boolean);
+
+  const handleSort = (columnIndex, direction) => {
+    updateQuery({
+      sort: SORT_COLUMNS[columnIndex],
+      dir: direction === 'descending' ? 'desc' : 'asc',
+    });
+  };
+
+  const sortColumnIndex = Number(
+    Object.keys(SORT_COLUMNS).find((index) => SORT_COLUMNS[index] === query.sort)
+  );
+
+  const rows = pageItems.map((item, index) => {
+    const id = getItemId(item);
+    return (
+      <IndexTable.Row
+        id={id}
+        key={id}
+        position={index}
+        selected={selectedResources.includes(id)}
+        tone={highlightedIds?.has(id) ? 'success' : undefined}
+      >
+        <IndexTable.Cell>
+          <BlockStack>
+            {onOpen ? (
+              // The primary link makes a click anywhere on the row open the item
+              <Link dataPrimaryLink monochrome removeUnderline onClick={() => onOpen(item)}>
+                <Text as="span" variant="bodyMd" fontWeight="semibold">
+                  {item.product_name}
+                </Text>
+              </Link>
+            ) : (
+              <Text as="span" variant="bodyMd" fontWeight="semibold">
+                {item.product_name}
+              </Text>
+            )}
+            {item.supplier && (
+              <Text as="span" variant="bodySm" tone="subdued">
+                {item.supplier.name}
+              </Text>
+            )}
+            {item.status_entry?.status === ITEM_STATUSES.acknowledged && (
+              <InlineStack>
+                <Badge size="small">{t('table.acknowledged')}</Badge>
+              </InlineStack>
+            )}
+          </BlockStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{item.variant_name || '-'}</IndexTable.Cell>
+        <IndexTable.Cell>{item.sku || '-'}</IndexTable.Cell>
+        <IndexTable.Cell>
+          {hasLocationLevels(item) ? (
+            <Tooltip content={locationBreakdown(item)}>
+              <Badge tone={item.severity}>
+                {t('table.units', { count: item.stock_quantity })}
+              </Badge>
+            </Tooltip>
+          ) : (
+            <Badge tone={item.severity}>
+              {t('table.units', { count: item.stock_quantity })}
+            </Badge>
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" alignment="end" numeric>
+            {formatNumber(item.threshold)}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" alignment="end" numeric>
+            {formatVelocity(item.velocity)}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{formatDaysOfCover(item.days_of_cover)}</IndexTable.Cell>
+        <IndexTable.Cell>{formatStockoutDate(item.stockout_date)}</IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" alignment="end" numeric>
+            {item.reorder_quantity > 0 ? formatNumber(item.reorder_quantity) : '-'}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={stopPropagation}>
+            <InlineStack gap="300" blockAlign="center" wrap={false}>
+              <Button size="slim" onClick={() => onAdjust([item])}>
+                {t('table.adjust')}
+              </Button>
+              {item.supplier && onRequestRestock && (
+                <Button size="slim" onClick={() => onRequestRestock([item])}>
+                  {t('table.requestRestock')}
+                </Button>
+              )}
+              <Link url={item.shopify_admin_url} external>
+                {t('table.viewInShopify')}
+              </Link>
+              {onSetStatus && (
+                <Popover
+                  active={menuItemId === id}
+                  onClose={() => setMenuItemId(null)}
+                  activator={
+                    <Button
+                      size="slim"
+                      variant="tertiary"
+                      disclosure
+                      onClick={() => setMenuItemId(menuItemId === id ? null : id)}
+                    >
+                      {t('table.more')}
+                    </Button>
+                  }
+                >
+                  <ActionList
+                    actionRole="menuitem"
+                    onActionAnyItem={() => setMenuItemId(null)}
+                    items={statusActions(() => [item])}
+                  />
+                </Popover>
+              )}
+            </InlineStack>
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <BlockStack gap="400">
+      <Filters
+        queryValue={query.q}
+        queryPlaceholder={t('table.searchPlaceholder')}
+        filters={filters}
+        appliedFilters={appliedFilters}
+        onQueryChange={(q) => updateQuery({ q })}
+        onQueryClear={() => updateQuery({ q: '' })}
+        onClearAll={() => onQueryChange({ ...DEFAULT_QUERY, sort: query.sort, dir: query.dir })}
+      />
+
+      {filteredItems.length === 0 ? (
+        <EmptySearchResult
+          title={t('table.noMatchesTitle')}
+          description={t('table.noMatchesMessage')}
+          withIllustration
+        />
+      ) : (
+        <IndexTable
+          resourceName={{ singular: t('table.product'), plural: t('table.products') }}
+          itemCount={pageItems.length}
+          selectedItemsCount={allResourcesSelected ? 'All' : selectedResources.length}
+          onSelectionChange={handleSelectionChange}
+          promotedBulkActions={promotedBulkActions}
+          bulkActions={onSetStatus ? statusActions(() => selectedItems) : undefined}
+          headings={[
+            { title: t('table.product') },
+            { title: t('table.variant') },
+            { title: t('table.sku') },
+            { title: t('table.stock') },
+            { title: t('table.threshold'), alignment: 'end' },
+            { title: t('table.dailySales'), alignment: 'end' },
+            { title: t('table.daysOfCover') },
+            { title: t('table.stockout') },
+            { title: t('table.reorder'), alignment: 'end' },
+            { title: t('table.action') },
+          ]}
+          sortable={[true, false, true, true, false, false, true, false, false, false]}
+          sortColumnIndex={sortColumnIndex}
+          sortDirection={query.dir === 'desc' ? 'descending' : 'ascending'}
+          onSort={handleSort}
+          pagination={{
+            hasPrevious: page > 1,
+            onPrevious: () => onQueryChange({ ...query, page: page - 1 }),
+            hasNext: page < pageCount,
+            onNext: () => onQueryChange({ ...query, page: page + 1 }),
+            label: t('table.pageLabel', {
+              start: (page - 1) * PAGE_SIZE + 1,
+              end: (page - 1) * PAGE_SIZE + pageItems.length,
+              total: filteredItems.length,
+            }),
+          }}
+        >
+          {rows}
+        </IndexTable>
+      )}
+    </BlockStack>
+  );
+}
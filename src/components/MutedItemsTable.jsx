@@ -0,0 +1,92 @@
+// src/components/MutedItemsTable.jsx
+import {
+  IndexTable,
+  EmptyState,
+  Badge,
+  Button,
+  Text,
+  useIndexResourceState
+} from '@shopify/polaris';
+import { getItemId } from '../services/lowStockQuery';
+import { ITEM_STATUSES, describeStatus } from '../services/itemStatus';
+import { t } from '../services/i18n';
+
+const stopPropagation = (event) => event.stopPropagation();
+
+export default function MutedItemsTable({ entries, onRestore }) {
+  const {
+    selectedResources,
+    allResourcesSelected,
+    handleSelectionChange,
+    clearSelection
+  } = useIndexResourceState(entries, { resourceIDResolver: getItemId });
+
+  const selectedEntries = allResourcesSelected
+    ? entries
+    : entries.filter((entry) => selectedResources.includes(getItemId(entry)));
+
+  if (entries.length === 0) {
+    return (
+      <EmptyState
+        heading={t('snooze.emptyTitle')}
+        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+      >
+        <p>{t('snooze.emptyMessage')}</p>
+      </EmptyState>
+    );
+  }
+
+  const rows = entries.map((entry, index) => {
+    const id = getItemId(entry);
+    return (
+      <IndexTable.Row id={id} key={id} position={index} selected={selectedResources.includes(id)}>
+        <IndexTable.Cell>
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {entry.product_name}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{entry.variant_name || '-'}</IndexTable.Cell>
+        <IndexTable.Cell>{entry.sku || '-'}</IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={entry.status === ITEM_STATUSES.ignored ? undefined : 'info'}>
+            {describeStatus(entry)}
+          </Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={stopPropagation}>
+            <Button size="slim" onClick={() => onRestore([entry])}>
+              {t('snooze.restore')}
+            </Button>
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <IndexTable
+      resourceName={{ singular: t('table.product'), plural: t('table.products') }}
+      itemCount={entries.length}
+      selectedItemsCount={allResourcesSelected ? 'All' : selectedResources.length}
+      onSelectionChange={handleSelectionChange}
+      promotedBulkActions={[
+        {
+          content: t('snooze.restore'),
+          onAction: () => {
+            onRestore(selectedEntries);
+            clearSelection();
+          },
+        },
+      ]}
+      headings={[
+        { title: t('table.product') },
+        { title: t('table.variant') },
+        { title: t('table.sku') },
+        { title: t('snooze.status') },
+        { title: t('table.action') },
+      ]}
+    >
+      {rows}
+    </IndexTable>
+  );
+}
@@ -0,0 +1,25 @@
+// src/components/Navbar.jsx
+import { useLocation } from 'react-router-dom';
+import { Navigation } from '@shopify/polaris';
+import { NAV_LINKS, useGuardedNavigate } from '../services/navigation';
+import { t } from '../services/i18n';
+
+// Sidebar for when the app runs outside the admin, e.g. in development. Embedded,
+// the same links go to the admin's own navigation through App Bridge.
+export default function Navbar() {
+  const location = useLocation();
+  const navigate = useGuardedNavigate();
+
+  return (
+    <Navigation location={location.pathname}>
+      <Navigation.Section
+        items={NAV_LINKS.map((link) => ({
+          label: t(link.label),
+          // No url: Polaris would render a plain link and reload the page
+          selected: location.pathname === link.path,
+          onClick: () => navigate(link.path),
+        }))}
+      />
+    </Navigation>
+  );
+}
@@ -0,0 +1,194 @@
+// src/components/NotificationChannels.jsx
+import { useState } from 'react';
+import {
+  BlockStack,
+  InlineStack,
+  Box,
+  Button,
+  Badge,
+  Checkbox,
+  Text,
+  Modal,
+  FormLayout,
+  Select,
+  TextField
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import {
+  CHANNEL_TYPES,
+  isKnownChannelType,
+  getChannelTypeLabel,
+  getChannelTypeOptions,
+  describeChannelType,
+  fieldText,
+  createChannel,
+  validateChannel,
+  describeChannel
+} from '../services/notificationChannels';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+
+const log = createLogger('NotificationChannels');
+
+const TEST_STATUS_TONES = {
+  sending: 'info',
+  sent: 'success',
+};
+
+export default function NotificationChannels({ channels = [], onChange }) {
+  const [editing, setEditing] = useState(null);
+  const [editErrors, setEditErrors] = useState({});
+  const [testStatus, setTestStatus] = useState({});
+
+  const isNew = editing && !channels.some((channel) => channel.id === editing.id);
+
+  const updateChannel = (id, changes) => {
+    onChange(channels.map((channel) => (channel.id === id ? { ...channel, ...changes } : channel)));
+  };
+
+  const handleRemove = (id) => {
+    onChange(channels.filter((channel) => channel.id !== id));
+  };
+
+  const handleTest = async (channel) => {
+    setTestStatus((status) => ({ ...status, [channel.id]: 'sending' }));
+
+    try {
+      await apiService.testNotificationChannel(channel);
+      setTestStatus((status) => ({ ...status, [channel.id]: 'sent' }));
+    } catch (err) {
+      log.error('Channel test error', err);
+      setTestStatus((status) => ({
+        ...status,
+        [channel.id]: err.response?.data?.error || t('channels.testFailed'),
+      }));
+    }
+  };
+
+  const handleEditChange = (changes) => {
+    setEditing({ ...editing, ...changes });
+    setEditErrors({});
+  };
+
+  const handleTypeChange = (type) => {
+    // Switching type starts from that type's empty config
+    handleEditChange({ type, config: createChannel(type).config });
+  };
+
+  const handleEditSave = () => {
+    const errors = validateChannel(editing);
+    if (Object.keys(errors).length) {
+      setEditErrors(errors);
+      return;
+    }
+
+    const channel = { ...editing, name: editing.name.trim() };
+    onChange(isNew ? [...channels, channel] : channels.map((c) => (c.id === channel.id ? channel : c)));
+    setTestStatus((status) => ({ ...status, [channel.id]: undefined }));
+    setEditing(null);
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setEditErrors({});
+  };
+
+  return (
+    <BlockStack gap="400">
+      {channels.length === 0 && (
+        <Text as="p" variant="bodyMd" tone="subdued">
+          {t('channels.empty')}
+        </Text>
+      )}
+
+      {channels.map((channel) => {
+        const status = testStatus[channel.id];
+        return (
+          <Box key={channel.id} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+            <BlockStack gap="200">
+              <InlineStack align="space-between" blockAlign="center">
+                <InlineStack gap="200" blockAlign="center">
+                  <Badge>{getChannelTypeLabel(channel.type)}</Badge>
+                  <Text as="span" variant="bodyMd" fontWeight="semibold">
+                    {channel.name}
+                  </Text>
+                  <Text as="span" variant="bodySm" tone="subdued">
+                    {isKnownChannelType(channel.type) ? describeChannel(channel) : t('channels.unknownTypeHelp')}
+                  </Text>
+                </InlineStack>
+                <Checkbox
+                  label={t('channels.enabled')}
+                  checked={channel.enabled}
+                  onChange={(enabled) => updateChannel(channel.id, { enabled })}
+                />
+              </InlineStack>
+
+              <InlineStack gap="200" blockAlign="center">
+                <Button size="slim" onClick={() => handleTest(channel)} loading={status === 'sending'}>
+                  {t('setup.sendTest')}
+                </Button>
+                {isKnownChannelType(channel.type) && (
+                  <Button size="slim" onClick={() => setEditing(channel)}>
+                    {t('common.edit')}
+                  </Button>
+                )}
+                <Button size="slim" variant="plain" tone="critical" onClick={() => handleRemove(channel.id)}>
+                  {t('common.remove')}
+                </Button>
+                {TEST_STATUS_TONES[status]
+                  ? <Badge tone={TEST_STATUS_TONES[status]}>{t(`channels.testStatus.${status}`)}</Badge>
+                  : status && <Badge tone="critical">{status}</Badge>}
+              </InlineStack>
+            </BlockStack>
+          </Box>
+        );
+      })}
+
+      <InlineStack>
+        <Button onClick={() => setEditing(createChannel())}>{t('channels.add')}</Button>
+      </InlineStack>
+
+      <Modal
+        open={!!editing}
+        onClose={closeEditor}
+        title={isNew ? t('channels.addTitle') : t('channels.editTitle')}
+        primaryAction={{ content: isNew ? t('channels.add') : t('common.done'), onAction: handleEditSave }}
+        secondaryActions={[{ content: t('common.cancel'), onAction: closeEditor }]}
+      >
+        {editing && (
+          <Modal.Section>
+            <FormLayout>
+              <Select
+                label={t('channels.type')}
+                options={getChannelTypeOptions()}
+                value={editing.type}
+                onChange={handleTypeChange}
+                helpText={describeChannelType(editing.type)}
+              />
+              <TextField
+                label={t('channels.name')}
+                value={editing.name}
+                onChange={(name) => handleEditChange({ name })}
+                error={editErrors.name}
+                placeholder={t('channels.namePlaceholder')}
+                autoComplete="off"
+              />
+              {CHANNEL_TYPES[editing.type].fields.map((field) => (
+                <TextField
+                  key={field.key}
+                  {...fieldText(field)}
+                  value={editing.config[field.key] || ''}
+                  onChange={(value) => handleEditChange({ config: { ...editing.config, [field.key]: value } })}
+                  error={editErrors[field.key]}
+                  type={field.type}
+                  placeholder={field.placeholder}
+                  autoComplete="off"
+                />
+              ))}
+            </FormLayout>
+          </Modal.Section>
+        )}
+      </Modal>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,64 @@
+// src/components/PlanProvider.jsx
+import { createContext, useContext, useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { DEFAULT_PLAN, hasFeature } from '../services/plans';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+
+const log = createLogger('PlanProvider');
+
+const PlanContext = createContext({
+  plan: DEFAULT_PLAN,
+  loading: false,
+  error: '',
+  hasFeature: (feature) => hasFeature(DEFAULT_PLAN, feature),
+  setPlan: () => {},
+});
+
+// Loads the store's plan once for every page under it. The request is the one
+// SetupGate makes, so it isn't sent twice. plan stays null while it's unknown.
+export default function PlanProvider({ children }) {
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Set once a page reports a plan change. The store fetched on mount may
+  // predate it (a charge confirmed while it was in flight), so it loses.
+  const planChangedRef = useRef(false);
+
+  const changePlan = useCallback((nextPlan) => {
+    planChangedRef.current = true;
+    setPlan(nextPlan);
+    setError('');
+  }, []);
+
+  useEffect(() => {
+    const fetchPlan = async () => {
+      try {
+        const storeRes = await apiService.getStore();
+        if (!planChangedRef.current) setPlan(storeRes.store.plan);
+      } catch (err) {
+        if (planChangedRef.current) return;
+        // Not knowing the plan is no reason to lock the merchant out of what they
+        // pay for; the backend still enforces it, and the plans page shows the error
+        log.error('Plan load error', err);
+        setError(err.response?.data?.error || t('plans.loadError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPlan();
+  }, []);
+
+  const value = useMemo(() => ({
+    plan,
+    loading,
+    error,
+    // Nothing is gated until the plan is known
+    hasFeature: (feature) => plan === null || hasFeature(plan, feature),
+    setPlan: changePlan,
+  }), [plan, loading, error, changePlan]);
+
+  return <PlanContext.Provider value={value}>{children}</PlanContext.Provider>;
+}
+
+export const usePlan = () => useContext(PlanContext);
@@ -0,0 +1,148 @@
+// src/components/PurchaseOrderCard.jsx
+import { useState, useEffect } from 'react';
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  TextField,
+  Button,
+  Badge,
+  Text
+} from '@shopify/polaris';
+import { t } from '../services/i18n';
+
+export default function PurchaseOrderCard({ order, saving, onSave, onDelete, onExport }) {
+  const [draft, setDraft] = useState(order);
+
+  // Server responses replace local edits
+  useEffect(() => {
+    setDraft(order);
+  }, [order]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(order);
+  const invalidLine = draft.lines.some((line) => !(Number(line.quantity) > 0));
+  const totalUnits = draft.lines.reduce((total, line) => total + (Number(line.quantity) || 0), 0);
+
+  const updateLine = (index, changes) => {
+    setDraft({
+      ...draft,
+      lines: draft.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+    });
+  };
+
+  const removeLine = (index) => {
+    setDraft({ ...draft, lines: draft.lines.filter((_, i) => i !== index) });
+  };
+
+  const toPayload = () => ({
+    ...draft,
+    lines: draft.lines.map((line) => ({ ...line, quantity: Number(line.quantity) })),
+  });
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="h2" variant="headingMd">
+              {draft.supplier_name || draft.vendor}
+            </Text>
+            <Badge tone={draft.status === 'draft' ? 'info' : 'success'}>
+              {draft.status === 'draft' ? t('purchaseOrders.draft') : draft.status}
+            </Badge>
+          </InlineStack>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {t('purchaseOrders.summary', {
+              items: t('purchaseOrders.items', { count: draft.lines.length }),
+              units: t('table.units', { count: totalUnits }),
+            })}
+          </Text>
+        </InlineStack>
+
+        <IndexTable
+          resourceName={{ singular: t('purchaseOrders.line'), plural: t('purchaseOrders.lines') }}
+          itemCount={draft.lines.length}
+          selectable={false}
+          headings={[
+            { title: t('table.product') },
+            { title: t('table.sku') },
+            { title: t('variant.inStock'), alignment: 'end' },
+            { title: t('purchaseOrders.quantity') },
+            { title: '' },
+          ]}
+        >
+          {draft.lines.map((line, index) => (
+            <IndexTable.Row id={String(line.variant_id ?? index)} key={line.variant_id ?? index} position={index}>
+              <IndexTable.Cell>
+                <Text as="span" variant="bodyMd" fontWeight="semibold">
+                  {line.product_name}
+                </Text>
+                {line.variant_name && (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {line.variant_name}
+                  </Text>
+                )}
+              </IndexTable.Cell>
+              <IndexTable.Cell>{line.sku || '-'}</IndexTable.Cell>
+              <IndexTable.Cell>
+                <Text as="span" alignment="end" numeric>
+                  {line.stock_quantity ?? '-'}
+                </Text>
+              </IndexTable.Cell>
+              <IndexTable.Cell>
+                <div style={{ width: '110px' }}>
+                  <TextField
+                    type="number"
+                    label={t('purchaseOrders.quantity')}
+                    labelHidden
+                    value={String(line.quantity)}
+                    onChange={(quantity) => updateLine(index, { quantity })}
+                    error={Number(line.quantity) > 0 ? undefined : t('purchaseOrders.minimumOne')}
+                    autoComplete="off"
+                    min={1}
+                  />
+                </div>
+              </IndexTable.Cell>
+              <IndexTable.Cell>
+                <Button variant="plain" tone="critical" onClick={() => removeLine(index)}>
+                  {t('common.remove')}
+                </Button>
+              </IndexTable.Cell>
+            </IndexTable.Row>
+          ))}
+        </IndexTable>
+
+        <TextField
+          label={t('purchaseOrders.note')}
+          value={draft.note || ''}
+          onChange={(note) => setDraft({ ...draft, note })}
+          multiline={2}
+          autoComplete="off"
+        />
+
+        <InlineStack align="space-between">
+          <Button variant="plain" tone="critical" onClick={() => onDelete(order)}>
+            {t('purchaseOrders.deleteDraft')}
+          </Button>
+          <InlineStack gap="200">
+            <Button onClick={() => onExport(toPayload(), 'csv')} disabled={invalidLine}>
+              {t('purchaseOrders.exportCsv')}
+            </Button>
+            <Button onClick={() => onExport(toPayload(), 'pdf')} disabled={invalidLine}>
+              {t('purchaseOrders.exportPdf')}
+            </Button>
+            <Button
+              variant="primary"
+              onClick={() => onSave(toPayload())}
+              loading={saving}
+              disabled={!isDirty || invalidLine || draft.lines.length === 0}
+            >
+              {t('purchaseOrders.saveChanges')}
+            </Button>
+          </InlineStack>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,117 @@
+// src/components/RecipientsEditor.jsx
+import { useState } from 'react';
+import {
+  BlockStack,
+  InlineStack,
+  Box,
+  TextField,
+  Checkbox,
+  Button,
+  Badge,
+  Text,
+  Collapsible
+} from '@shopify/polaris';
+import TagInput from './TagInput';
+import { createRecipient, describeRecipientFilters } from '../services/recipients';
+import { t } from '../services/i18n';
+
+export default function RecipientsEditor({ recipients = [], onChange, errors = {} }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const updateRecipient = (id, changes) => {
+    onChange(recipients.map((recipient) => (recipient.id === id ? { ...recipient, ...changes } : recipient)));
+  };
+
+  const updateFilters = (recipient, changes) => {
+    updateRecipient(recipient.id, { filters: { ...recipient.filters, ...changes } });
+  };
+
+  const handleAdd = () => {
+    onChange([...recipients, createRecipient()]);
+  };
+
+  const handleRemove = (id) => {
+    onChange(recipients.filter((recipient) => recipient.id !== id));
+  };
+
+  return (
+    <BlockStack gap="400">
+      {recipients.map((recipient, index) => (
+        <Box key={recipient.id} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+          <BlockStack gap="200">
+            <InlineStack gap="300" blockAlign="end" wrap={false}>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  type="email"
+                  label={t('recipients.label', { number: index + 1 })}
+                  value={recipient.email}
+                  onChange={(email) => updateRecipient(recipient.id, { email })}
+                  error={errors[recipient.id]}
+                  autoComplete="email"
+                  placeholder="name@example.com"
+                />
+              </div>
+              {recipients.length > 1 && (
+                <Button tone="critical" onClick={() => handleRemove(recipient.id)}>
+                  {t('common.remove')}
+                </Button>
+              )}
+            </InlineStack>
+
+            <InlineStack gap="200" blockAlign="center">
+              {recipient.subscribed ? (
+                <Badge tone="success">{t('recipients.subscribed')}</Badge>
+              ) : (
+                <Badge tone="attention">{t('recipients.unsubscribed')}</Badge>
+              )}
+              <Text as="span" variant="bodySm" tone="subdued">
+                {describeRecipientFilters(recipient)}
+              </Text>
+              <Button
+                variant="plain"
+                onClick={() => setExpandedId(expandedId === recipient.id ? null : recipient.id)}
+                ariaExpanded={expandedId === recipient.id}
+              >
+                {expandedId === recipient.id ? t('recipients.hideRules') : t('recipients.editRules')}
+              </Button>
+            </InlineStack>
+
+            <Collapsible open={expandedId === recipient.id} id={`recipient-${recipient.id}`}>
+              <Box paddingBlockStart="200" paddingInlineStart="400">
+                <BlockStack gap="300">
+                  <Checkbox
+                    label={t('recipients.criticalOnlyLabel')}
+                    checked={recipient.filters.critical_only}
+                    onChange={(checked) => updateFilters(recipient, { critical_only: checked })}
+                  />
+                  <TagInput
+                    label={t('recipients.vendorsLabel')}
+                    values={recipient.filters.vendors}
+                    onChange={(vendors) => updateFilters(recipient, { vendors })}
+                    helpText={t('recipients.vendorsHelp')}
+                  />
+                  <TagInput
+                    label={t('recipients.locationsLabel')}
+                    values={recipient.filters.locations}
+                    onChange={(locations) => updateFilters(recipient, { locations })}
+                    helpText={t('recipients.locationsHelp')}
+                  />
+                  <Checkbox
+                    label={t('recipients.subscribedLabel')}
+                    helpText={t('recipients.subscribedHelp')}
+                    checked={recipient.subscribed}
+                    onChange={(subscribed) => updateRecipient(recipient.id, { subscribed })}
+                  />
+                </BlockStack>
+              </Box>
+            </Collapsible>
+          </BlockStack>
+        </Box>
+      ))}
+
+      <InlineStack>
+        <Button onClick={handleAdd}>{t('recipients.add')}</Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,116 @@
+// src/components/ReorderSettings.jsx
+import {
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  TextField,
+  Button,
+  Text
+} from '@shopify/polaris';
+import { t } from '../services/i18n';
+
+export default function ReorderSettings({ settings, onChange, errors = {} }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const updateTerms = (index, changes) => {
+    update({
+      vendor_terms: settings.vendor_terms.map((terms, i) => (i === index ? { ...terms, ...changes } : terms)),
+    });
+  };
+
+  const handleAddTerms = () => {
+    update({ vendor_terms: [...settings.vendor_terms, { vendor: '', lead_time_days: '', min_order_quantity: '' }] });
+  };
+
+  const handleRemoveTerms = (index) => {
+    update({ vendor_terms: settings.vendor_terms.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <BlockStack gap="400">
+      <FormLayout>
+        <FormLayout.Group condensed>
+          <TextField
+            type="number"
+            label={t('reorder.defaultLeadTime')}
+            suffix={t('reorder.daysSuffix')}
+            value={String(settings.default_lead_time_days)}
+            onChange={(value) => update({ default_lead_time_days: value })}
+            error={errors.default_lead_time_days}
+            autoComplete="off"
+            min={0}
+          />
+          <TextField
+            type="number"
+            label={t('reorder.safetyStock')}
+            suffix={t('reorder.daysSuffix')}
+            value={String(settings.safety_stock_days)}
+            onChange={(value) => update({ safety_stock_days: value })}
+            error={errors.safety_stock_days}
+            autoComplete="off"
+            min={0}
+          />
+          <TextField
+            type="number"
+            label={t('reorder.orderEvery')}
+            suffix={t('reorder.daysSuffix')}
+            value={String(settings.review_period_days)}
+            onChange={(value) => update({ review_period_days: value })}
+            error={errors.review_period_days}
+            autoComplete="off"
+            min={0}
+          />
+        </FormLayout.Group>
+      </FormLayout>
+
+      <Text as="p" variant="bodySm" tone="subdued">
+        {t('reorder.help')}
+      </Text>
+
+      {settings.vendor_terms.map((terms, index) => (
+        <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label={t('table.vendor')}
+              value={terms.vendor}
+              onChange={(vendor) => updateTerms(index, { vendor })}
+              error={errors.vendor_terms?.[index]?.vendor}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ width: '130px' }}>
+            <TextField
+              type="number"
+              label={t('reorder.leadTime')}
+              suffix={t('reorder.daysSuffix')}
+              value={String(terms.lead_time_days)}
+              onChange={(lead_time_days) => updateTerms(index, { lead_time_days })}
+              error={errors.vendor_terms?.[index]?.lead_time_days}
+              autoComplete="off"
+              min={0}
+            />
+          </div>
+          <div style={{ width: '130px' }}>
+            <TextField
+              type="number"
+              label={t('reorder.minimumOrder')}
+              suffix={t('reorder.unitsSuffix')}
+              value={String(terms.min_order_quantity)}
+              onChange={(min_order_quantity) => updateTerms(index, { min_order_quantity })}
+              error={errors.vendor_terms?.[index]?.min_order_quantity}
+              autoComplete="off"
+              min={0}
+            />
+          </div>
+          <Button tone="critical" onClick={() => handleRemoveTerms(index)}>
+            {t('common.remove')}
+          </Button>
+        </InlineStack>
+      ))}
+
+      <InlineStack>
+        <Button onClick={handleAddTerms}>{t('reorder.addVendorTerms')}</Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
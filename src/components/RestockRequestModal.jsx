@@ -0,0 +1,73 @@
+// src/components/RestockRequestModal.jsx
+import { useState, useEffect } from 'react';
+import { Modal, FormLayout, TextField } from '@shopify/polaris';
+import { buildMailtoUrl } from '../services/suppliers';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+
+const log = createLogger('RestockRequestModal');
+
+export default function RestockRequestModal({ message, onClose, onCopied }) {
+  const [draft, setDraft] = useState(message);
+
+  useEffect(() => {
+    setDraft(message);
+  }, [message]);
+
+  if (!draft) return null;
+
+  const handleOpenEmail = () => {
+    window.open(buildMailtoUrl(draft), '_blank');
+    onClose();
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        `${t('restock.to')}: ${draft.to}\n${t('restock.subjectLabel')}: ${draft.subject}\n\n${draft.body}`
+      );
+      onCopied();
+    } catch (err) {
+      // Clipboard access can be blocked inside the admin iframe; the text stays selectable
+      log.error('Clipboard error', err);
+    }
+  };
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={t('table.requestRestock')}
+      primaryAction={{ content: t('restock.openEmail'), onAction: handleOpenEmail }}
+      secondaryActions={[
+        { content: t('restock.copy'), onAction: handleCopy },
+        { content: t('common.cancel'), onAction: onClose }
+      ]}
+    >
+      <Modal.Section>
+        <FormLayout>
+          <TextField
+            type="email"
+            label={t('restock.to')}
+            value={draft.to}
+            onChange={(to) => setDraft({ ...draft, to })}
+            autoComplete="email"
+          />
+          <TextField
+            label={t('restock.subjectLabel')}
+            value={draft.subject}
+            onChange={(subject) => setDraft({ ...draft, subject })}
+            autoComplete="off"
+          />
+          <TextField
+            label={t('restock.message')}
+            value={draft.body}
+            onChange={(body) => setDraft({ ...draft, body })}
+            multiline={10}
+            autoComplete="off"
+          />
+        </FormLayout>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,58 @@
+// src/components/RouteErrorBoundary.jsx
+import { Component, Fragment } from 'react';
+import { Page, Card, BlockStack, InlineStack, Text, Button } from '@shopify/polaris';
+import { withAppParams } from '../services/navigation';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+
+const log = createLogger('RouteErrorBoundary');
+
+// Catches render errors in one route so the navigation and the rest of the app
+// keep working. "Try again" remounts the page, which makes it fetch again.
+export default class RouteErrorBoundary extends Component {
+  state = { error: null, attempt: 0 };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    log.error('Route render error', { error, componentStack: info.componentStack });
+  }
+
+  handleRetry = () => {
+    this.setState(({ attempt }) => ({ error: null, attempt: attempt + 1 }));
+  };
+
+  render() {
+    const { error, attempt } = this.state;
+
+    if (!error) {
+      return <Fragment key={attempt}>{this.props.children}</Fragment>;
+    }
+
+    return (
+      <Page title={t('routeError.title')}>
+        <Card>
+          <BlockStack gap="400">
+            <Text as="p" variant="bodyMd">
+              {t('routeError.message')}
+            </Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              {error.message}
+            </Text>
+            <InlineStack gap="300">
+              <Button variant="primary" onClick={this.handleRetry}>
+                {t('routeError.retry')}
+              </Button>
+              {/* A full load, so nothing from the broken page survives */}
+              <Button url={withAppParams('/dashboard')}>
+                {t('routeError.goToDashboard')}
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+      </Page>
+    );
+  }
+}
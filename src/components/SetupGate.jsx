@@ -0,0 +1,71 @@
+// src/components/SetupGate.jsx
+import { useState, useEffect } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Page, Card, Spinner } from '@shopify/polaris';
+import { apiService } from '../services/api';
+import { isSetupComplete } from '../services/setupProgress';
+import { setShopTimezone } from '../services/alertSchedule';
+import { withAppParams } from '../services/navigation';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('SetupGate');
+
+const SETUP_PATH = '/setup-wizard';
+
+// Support may need diagnostics from a store that is stuck in setup
+const UNGATED_PATHS = ['/diagnostics'];
+
+// Sends stores that haven't finished setup to the wizard, and keeps stores that
+// have out of it. If the store can't be loaded the page renders as usual and
+// shows its own error.
+export default function SetupGate({ children }) {
+  const location = useLocation();
+  const [status, setStatus] = useState('checking');
+
+  // The wizard navigates with this state once setup is saved
+  const justCompleted = Boolean(location.state?.setupCompleted);
+
+  useEffect(() => {
+    if (justCompleted) {
+      setStatus('complete');
+      return;
+    }
+    if (status === 'complete') return;
+
+    const checkSetup = async () => {
+      try {
+        const storeRes = await apiService.getStore();
+        setShopTimezone(storeRes.store.iana_timezone);
+        setStatus(isSetupComplete(storeRes.store) ? 'complete' : 'pending');
+      } catch (err) {
+        log.error('Setup check error', err);
+        setStatus('unknown');
+      }
+    };
+    checkSetup();
+  }, [justCompleted]);
+
+  const complete = status === 'complete' || justCompleted;
+
+  if (status === 'checking' && !complete) {
+    return (
+      <Page>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  const onSetupPage = location.pathname === SETUP_PATH;
+  if (complete && onSetupPage) {
+    return <Navigate to={withAppParams('/dashboard')} replace />;
+  }
+  if (status === 'pending' && !complete && !onSetupPage && !UNGATED_PATHS.includes(location.pathname)) {
+    return <Navigate to={withAppParams(SETUP_PATH)} replace />;
+  }
+
+  return children;
+}
@@ -0,0 +1,39 @@
+// src/components/SnoozeModal.jsx
+import { useState } from 'react';
+import { Modal, BlockStack, ChoiceList, Text } from '@shopify/polaris';
+import { getSnoozeOptions } from '../services/itemStatus';
+import { t } from '../services/i18n';
+
+export default function SnoozeModal({ items, onClose, onSubmit }) {
+  const [choice, setChoice] = useState('7');
+
+  if (items.length === 0) return null;
+
+  const title = items.length === 1
+    ? t('snooze.titleOne', { name: items[0].product_name })
+    : t('snooze.titleMany', { count: items.length });
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={title}
+      primaryAction={{ content: t('snooze.submit'), onAction: () => onSubmit(choice) }}
+      secondaryActions={[{ content: t('common.cancel'), onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          <ChoiceList
+            title={t('snooze.duration')}
+            choices={getSnoozeOptions()}
+            selected={[choice]}
+            onChange={([value]) => setChoice(value)}
+          />
+          <Text as="p" variant="bodySm" tone="subdued">
+            {t('snooze.help')}
+          </Text>
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,39 @@
+// src/components/Sparkline.jsx
+import { t, formatNumber } from '../services/i18n';
+
+export default function Sparkline({ values = [], width = 120, height = 32, color = '#2c6ecb' }) {
+  if (values.length < 2) {
+    return (
+      <svg width={width} height={height} role="img" aria-label={t('chart.notEnoughData')}>
+        <line x1="0" y1={height / 2} x2={width} y2={height / 2} stroke="#c9cccf" strokeDasharray="3 3" />
+      </svg>
+    );
+  }
+
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const step = width / (values.length - 1);
+
+  const points = values
+    .map((value, index) => {
+      const x = index * step;
+      const y = height - 2 - ((value - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  const last = values[values.length - 1];
+  const first = values[0];
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      role="img"
+      aria-label={t('chart.trend', { first: formatNumber(first), last: formatNumber(last) })}
+    >
+      <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
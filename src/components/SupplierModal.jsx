@@ -0,0 +1,152 @@
+// src/components/SupplierModal.jsx
+import { useState, useEffect } from 'react';
+import { ResourcePicker } from '@shopify/app-bridge-react';
+import {
+  Modal,
+  FormLayout,
+  TextField,
+  BlockStack,
+  InlineStack,
+  Button,
+  Tag,
+  Text,
+  Banner
+} from '@shopify/polaris';
+import TagInput from './TagInput';
+import { isValidEmail } from '../services/recipients';
+import { t } from '../services/i18n';
+
+// `error` is a failed save, shown above the form so the merchant can retry
+export default function SupplierModal({ supplier, saving, error, onDismissError, onClose, onSave }) {
+  const [formData, setFormData] = useState(supplier);
+  const [errors, setErrors] = useState({});
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  useEffect(() => {
+    setFormData(supplier);
+    setErrors({});
+  }, [supplier]);
+
+  if (!formData) return null;
+
+  const handleChange = (field) => (value) => {
+    setFormData({ ...formData, [field]: value });
+    setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleProductSelection = ({ selection }) => {
+    const existing = new Set(formData.products.map((product) => product.id));
+    const added = selection
+      .filter((product) => !existing.has(product.id))
+      .map((product) => ({ id: product.id, title: product.title }));
+    setFormData({ ...formData, products: [...formData.products, ...added] });
+    setPickerOpen(false);
+  };
+
+  const handleSubmit = () => {
+    const nextErrors = {};
+    if (!formData.name.trim()) nextErrors.name = t('suppliers.nameRequired');
+    if (!isValidEmail(formData.email.trim())) nextErrors.email = t('recipients.invalidEmail');
+    if (formData.lead_time_days !== '' && Number(formData.lead_time_days) < 0) {
+      nextErrors.lead_time_days = t('settings.minimumZero');
+    }
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) return;
+
+    onSave({
+      ...formData,
+      name: formData.name.trim(),
+      email: formData.email.trim(),
+      lead_time_days: formData.lead_time_days === '' ? null : Number(formData.lead_time_days),
+    });
+  };
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={formData.id ? t('suppliers.editTitle', { name: supplier.name }) : t('suppliers.add')}
+      primaryAction={{ content: t('suppliers.save'), onAction: handleSubmit, loading: saving }}
+      secondaryActions={[{ content: t('common.cancel'), onAction: onClose }]}
+    >
+      {error && (
+        <Modal.Section>
+          <Banner tone="critical" onDismiss={onDismissError}>{error}</Banner>
+        </Modal.Section>
+      )}
+
+      <Modal.Section>
+        <FormLayout>
+          <TextField
+            label={t('suppliers.name')}
+            value={formData.name}
+            onChange={handleChange('name')}
+            error={errors.name}
+            autoComplete="organization"
+          />
+          <FormLayout.Group>
+            <TextField
+              type="email"
+              label={t('suppliers.email')}
+              value={formData.email}
+              onChange={handleChange('email')}
+              error={errors.email}
+              autoComplete="email"
+            />
+            <TextField
+              type="number"
+              label={t('reorder.leadTime')}
+              suffix={t('reorder.daysSuffix')}
+              value={String(formData.lead_time_days ?? '')}
+              onChange={handleChange('lead_time_days')}
+              error={errors.lead_time_days}
+              helpText={t('suppliers.leadTimeHelp')}
+              autoComplete="off"
+              min={0}
+            />
+          </FormLayout.Group>
+          <TagInput
+            label={t('suppliers.vendors')}
+            values={formData.vendors}
+            onChange={handleChange('vendors')}
+            helpText={t('suppliers.vendorsHelp')}
+          />
+          <BlockStack gap="200">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="p" variant="bodyMd">
+                {t('table.products')}
+              </Text>
+              <Button onClick={() => setPickerOpen(true)}>{t('suppliers.addProducts')}</Button>
+            </InlineStack>
+            {formData.products.length === 0 ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                {t('suppliers.productsHelp')}
+              </Text>
+            ) : (
+              <InlineStack gap="200">
+                {formData.products.map((product) => (
+                  <Tag
+                    key={product.id}
+                    onRemove={() => handleChange('products')(formData.products.filter((p) => p.id !== product.id))}
+                  >
+                    {product.title}
+                  </Tag>
+                ))}
+              </InlineStack>
+            )}
+          </BlockStack>
+        </FormLayout>
+      </Modal.Section>
+
+      {pickerOpen && (
+        <ResourcePicker
+          open
+          resourceType="Product"
+          showVariants={false}
+          onSelection={handleProductSelection}
+          onCancel={() => setPickerOpen(false)}
+        />
+      )}
+    </Modal>
+  );
+}
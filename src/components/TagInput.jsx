@@ -0,0 +1,48 @@
+// src/components/TagInput.jsx
+import { useState } from 'react';
+import { BlockStack, InlineStack, TextField, Button, Tag } from '@shopify/polaris';
+import { t } from '../services/i18n';
+
+export default function TagInput({ label, values = [], onChange, placeholder, helpText }) {
+  const [input, setInput] = useState('');
+
+  const handleAdd = () => {
+    const value = input.trim();
+    if (value && !values.includes(value)) {
+      onChange([...values, value]);
+    }
+    setInput('');
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <BlockStack gap="200">
+      <div onKeyDown={handleKeyDown}>
+        <TextField
+          label={label}
+          value={input}
+          onChange={setInput}
+          placeholder={placeholder}
+          helpText={helpText}
+          autoComplete="off"
+          connectedRight={<Button onClick={handleAdd} disabled={!input.trim()}>{t('common.add')}</Button>}
+        />
+      </div>
+      {values.length > 0 && (
+        <InlineStack gap="200">
+          {values.map((value) => (
+            <Tag key={value} onRemove={() => onChange(values.filter((v) => v !== value))}>
+              {value}
+            </Tag>
+          ))}
+        </InlineStack>
+      )}
+    </BlockStack>
+  );
+}
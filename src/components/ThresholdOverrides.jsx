@@ -0,0 +1,129 @@
+// src/components/ThresholdOverrides.jsx
+import { useState } from 'react';
+import { ResourcePicker } from '@shopify/app-bridge-react';
+import {
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  Button,
+  Text,
+  Box
+} from '@shopify/polaris';
+import { getScopeOptions } from '../services/thresholds';
+import { t } from '../services/i18n';
+
+const PICKER_RESOURCE_TYPES = {
+  product: 'Product',
+  variant: 'ProductVariant',
+  collection: 'Collection',
+};
+
+const resourceTitle = (resource) => {
+  if (resource.product?.title) return `${resource.product.title} - ${resource.title}`;
+  return resource.title;
+};
+
+export default function ThresholdOverrides({ overrides = [], onChange, errors = {} }) {
+  const [pickerIndex, setPickerIndex] = useState(null);
+
+  const updateOverride = (index, changes) => {
+    onChange(overrides.map((override, i) => (i === index ? { ...override, ...changes } : override)));
+  };
+
+  const handleAdd = () => {
+    onChange([...overrides, { scope: 'product', value: '', label: '', threshold: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(overrides.filter((_, i) => i !== index));
+  };
+
+  const handleSelection = ({ selection }) => {
+    const [resource] = selection;
+    if (resource) {
+      updateOverride(pickerIndex, { value: resource.id, label: resourceTitle(resource) });
+    }
+    setPickerIndex(null);
+  };
+
+  const pickerScope = pickerIndex !== null ? overrides[pickerIndex]?.scope : null;
+
+  return (
+    <BlockStack gap="400">
+      <Text as="p" variant="bodyMd" tone="subdued">
+        {t('thresholds.precedence')}
+      </Text>
+
+      {overrides.map((override, index) => (
+        <Box key={index} paddingBlockEnd="200" borderBlockEndWidth="025" borderColor="border">
+          <InlineStack gap="300" blockAlign="end" wrap={false}>
+            <div style={{ minWidth: '130px' }}>
+              <Select
+                label={t('thresholds.appliesTo')}
+                options={getScopeOptions()}
+                value={override.scope}
+                onChange={(scope) => updateOverride(index, { scope, value: '', label: '' })}
+              />
+            </div>
+
+            <div style={{ flex: 1 }}>
+              {PICKER_RESOURCE_TYPES[override.scope] ? (
+                <TextField
+                  label={t('thresholds.item')}
+                  value={override.label || override.value}
+                  placeholder={t('thresholds.nothingSelected')}
+                  readOnly
+                  autoComplete="off"
+                  error={errors[index]?.value}
+                  connectedRight={
+                    <Button onClick={() => setPickerIndex(index)}>{t('thresholds.browse')}</Button>
+                  }
+                />
+              ) : (
+                <TextField
+                  label={t(`thresholds.valueLabels.${override.scope}`)}
+                  value={override.value}
+                  onChange={(value) => updateOverride(index, { value, label: value })}
+                  error={errors[index]?.value}
+                  autoComplete="off"
+                />
+              )}
+            </div>
+
+            <div style={{ width: '110px' }}>
+              <TextField
+                type="number"
+                label={t('table.threshold')}
+                value={String(override.threshold)}
+                onChange={(threshold) => updateOverride(index, { threshold })}
+                error={errors[index]?.threshold}
+                autoComplete="off"
+                min={0}
+              />
+            </div>
+
+            <Button tone="critical" variant="plain" onClick={() => handleRemove(index)}>
+              {t('common.remove')}
+            </Button>
+          </InlineStack>
+        </Box>
+      ))}
+
+      <InlineStack>
+        <Button onClick={handleAdd}>{t('thresholds.add')}</Button>
+      </InlineStack>
+
+      {pickerScope && PICKER_RESOURCE_TYPES[pickerScope] && (
+        <ResourcePicker
+          open
+          resourceType={PICKER_RESOURCE_TYPES[pickerScope]}
+          selectMultiple={false}
+          showVariants={false}
+          onSelection={handleSelection}
+          onCancel={() => setPickerIndex(null)}
+        />
+      )}
+    </BlockStack>
+  );
+}
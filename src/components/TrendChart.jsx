@@ -0,0 +1,94 @@
+// src/components/TrendChart.jsx
+import { InlineStack, Text } from '@shopify/polaris';
+import { t, formatNumber, formatList } from '../services/i18n';
+
+const WIDTH = 720;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 40 };
+
+export default function TrendChart({ data = [], series = [] }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const maxValue = Math.max(
+    1,
+    ...data.flatMap((point) => series.map((s) => Number(point[s.key]) || 0))
+  );
+  const step = data.length > 1 ? plotWidth / (data.length - 1) : 0;
+
+  const x = (index) => PADDING.left + index * step;
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  // Label roughly six dates along the x axis, whatever the range
+  const labelEvery = Math.max(1, Math.ceil(data.length / 6));
+  const gridValues = [0, Math.round(maxValue / 2), maxValue];
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={t('chart.overTime', { series: formatList(series.map((s) => s.label)) })}
+      >
+        {gridValues.map((value) => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(value)}
+              y2={y(value)}
+              stroke="#e1e3e5"
+            />
+            <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end" fontSize="11" fill="#6d7175">
+              {formatNumber(value)}
+            </text>
+          </g>
+        ))}
+
+        {data.map((point, index) =>
+          index % labelEvery === 0 ? (
+            <text
+              key={point.date}
+              x={x(index)}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+              fontSize="11"
+              fill="#6d7175"
+            >
+              {point.date.slice(5)}
+            </text>
+          ) : null
+        )}
+
+        {series.map((s) => (
+          <g key={s.key}>
+            <polyline
+              points={data.map((point, index) => `${x(index)},${y(Number(point[s.key]) || 0)}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              strokeLinejoin="round"
+            />
+            {data.map((point, index) => (
+              <circle key={point.date} cx={x(index)} cy={y(Number(point[s.key]) || 0)} r="2.5" fill={s.color}>
+                <title>{t('chart.point', { date: point.date, series: s.label, value: formatNumber(point[s.key] ?? 0) })}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <InlineStack gap="400">
+        {series.map((s) => (
+          <InlineStack key={s.key} gap="100" blockAlign="center">
+            <span style={{ width: 12, height: 12, borderRadius: 2, background: s.color, display: 'inline-block' }} />
+            <Text as="span" variant="bodySm" tone="subdued">
+              {s.label}
+            </Text>
+          </InlineStack>
+        ))}
+      </InlineStack>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// src/components/UpgradePrompt.jsx
+import { Banner, Text } from '@shopify/polaris';
+import { requiredPlan, planName, featureName } from '../services/plans';
+import { useAppNavigate } from '../services/navigation';
+import { t } from '../services/i18n';
+
+// Points at the plans page. With a feature, says which plan has it and opens
+// the plans page on that plan; title and message override the wording.
+export default function UpgradePrompt({ feature, title, message, onDismiss }) {
+  const navigate = useAppNavigate();
+  const plan = feature && requiredPlan(feature);
+
+  return (
+    <Banner
+      tone="info"
+      title={title || (plan && t('plans.upgrade.title', { plan: planName(plan) }))}
+      action={{
+        content: t('plans.upgrade.action'),
+        onAction: () => navigate(feature ? `/plans?feature=${feature}` : '/plans'),
+      }}
+      onDismiss={onDismiss}
+    >
+      <Text as="p" variant="bodyMd">
+        {message || (plan && t('plans.upgrade.message', { feature: featureName(feature), plan: planName(plan) }))}
+      </Text>
+    </Banner>
+  );
+}
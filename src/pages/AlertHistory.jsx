@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Page,
+  Card,
+  Text,
+  Banner,
+  BlockStack,
+  EmptyState,
+  IndexTable,
+  Badge,
+  Spinner
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import {
+  HISTORY_PAGE_SIZE,
+  getDeliveryStatus,
+  getChannelLabel,
+  describeRecipients,
+  formatAlertTime
+} from '../services/alertHistory';
+import AlertDetailModal from '../components/AlertDetailModal';
+import { createLogger } from '../services/logger';
+import { t, formatNumber } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('AlertHistory');
+
+export default function AlertHistory() {
+  const navigate = useAppNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [alerts, setAlerts] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [openAlertId, setOpenAlertId] = useState(null);
+
+  const page = Math.max(1, Number(searchParams.get('page')) || 1);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [page]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const historyRes = await apiService.getAlertHistory(page, HISTORY_PAGE_SIZE);
+      setAlerts(historyRes.alerts);
+      setPagination(historyRes.pagination);
+    } catch (err) {
+      log.error('Alert history error', err);
+      setError(err.response?.data?.error || t('alertHistory.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The page number lives in the URL next to shop/host
+  const handlePageChange = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    if (nextPage > 1) {
+      params.set('page', String(nextPage));
+    } else {
+      params.delete('page');
+    }
+    setSearchParams(params);
+  };
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  if (loading) {
+    return (
+      <Page title={t('alertHistory.title')}>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+              {t('alertHistory.loading')}
+            </Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  const totalPages = pagination.total_pages || 1;
+  const firstRow = (page - 1) * HISTORY_PAGE_SIZE + 1;
+
+  const rows = alerts.map((alert, index) => {
+    const status = getDeliveryStatus(alert.status);
+    return (
+      <IndexTable.Row
+        id={String(alert.id)}
+        key={alert.id}
+        position={index}
+        onClick={() => setOpenAlertId(alert.id)}
+      >
+        <IndexTable.Cell>
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {formatAlertTime(alert.sent_at || alert.created_at)}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{getChannelLabel(alert.channel)}</IndexTable.Cell>
+        <IndexTable.Cell>{describeRecipients(alert.recipients)}</IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" alignment="end" numeric>
+            {formatNumber(alert.item_count ?? 0)}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={status.tone}>{status.label}</Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" variant="bodySm" tone={alert.error ? 'critical' : 'subdued'} truncate>
+            {alert.error || '-'}
+          </Text>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <Page
+      title={t('alertHistory.title')}
+      subtitle={t('alertHistory.subtitle')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      primaryAction={{ content: t('alertHistory.refresh'), onAction: fetchHistory }}
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        <Card padding="0">
+          {alerts.length === 0 ? (
+            <EmptyState
+              heading={t('alertHistory.emptyTitle')}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>{t('alertHistory.emptyMessage')}</p>
+            </EmptyState>
+          ) : (
+            <IndexTable
+              resourceName={{ singular: t('alertHistory.singular'), plural: t('alertHistory.plural') }}
+              itemCount={alerts.length}
+              selectable={false}
+              headings={[
+                { title: t('alertHistory.sent') },
+                { title: t('alertHistory.channel') },
+                { title: t('alertHistory.recipients') },
+                { title: t('alertHistory.items'), alignment: 'end' },
+                { title: t('alertHistory.status') },
+                { title: t('alertHistory.error') },
+              ]}
+              pagination={{
+                hasPrevious: page > 1,
+                onPrevious: () => handlePageChange(page - 1),
+                hasNext: page < totalPages,
+                onNext: () => handlePageChange(page + 1),
+                label: pagination.total
+                  ? t('table.pageLabel', {
+                    start: firstRow,
+                    end: firstRow + alerts.length - 1,
+                    total: pagination.total,
+                  })
+                  : t('alertHistory.pageOf', { page, total: totalPages }),
+              }}
+            >
+              {rows}
+            </IndexTable>
+          )}
+        </Card>
+      </BlockStack>
+
+      <AlertDetailModal alertId={openAlertId} onClose={() => setOpenAlertId(null)} />
+    </Page>
+  );
+}
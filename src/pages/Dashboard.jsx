@@ -1,84 +1,529 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Page,
   Layout,
   Card,
-  DataTable,
   Text,
   Button,
   Banner,
   BlockStack,
+  InlineStack,
   InlineGrid,
+  Select,
+  Tabs,
+  Badge,
   EmptyState,
   Spinner,
-  Badge,
-  Link
+  Toast,
 } from '@shopify/polaris';
 import { apiService } from '../services/api';
+import { getCandidateQuery, assessItem } from '../services/thresholds';
+import { parseTableQuery, mergeTableQuery, applyTableQuery, getItemId } from '../services/lowStockQuery';
+import { exportCsv, exportXlsx } from '../services/reportExport';
+import LowStockTable from '../components/LowStockTable';
+import AdjustInventoryModal from '../components/AdjustInventoryModal';
+import RestockRequestModal from '../components/RestockRequestModal';
+import SnoozeModal from '../components/SnoozeModal';
+import MutedItemsTable from '../components/MutedItemsTable';
+import UpgradePrompt from '../components/UpgradePrompt';
+import { usePlan } from '../components/PlanProvider';
+import { nextPlan, planName, describeFeatures } from '../services/plans';
+import { normalizeSchedule, describeSchedule } from '../services/alertSchedule';
+import { suggestReorderQuantity, buildDraftOrders } from '../services/reorder';
+import { findSupplier, buildRestockMessage } from '../services/suppliers';
+import { ITEM_STATUSES, buildSnooze, indexStatuses, isMuted } from '../services/itemStatus';
+import {
+  sameId,
+  hasLocationLevels,
+  getLocationQuantity,
+  setLocationQuantity,
+  getLocationThreshold
+} from '../services/locations';
+import { createLogger } from '../services/logger';
+import { t, formatNumber, formatDate, formatDateTime, formatList } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('Dashboard');
+
+const formatAsOf = (value) =>
+  formatDate(value, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const HIGHLIGHT_DURATION = 4000;
+
+// Loaded alongside the store, low stock and stats; the page still works without them
+const AUXILIARY_PARTS = ['settings', 'locations', 'suppliers', 'statuses'];
+
+// Oldest cache time among the responses, or null when they are all fresh
+const getCachedAt = (responses) =>
+  responses
+    .filter((response) => response.fromCache)
+    .map((response) => response.cachedAt)
+    .sort()[0] || null;
 
 export default function Dashboard() {
+  const navigate = useAppNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { plan, hasFeature } = usePlan();
+  const [upgradeDismissed, setUpgradeDismissed] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [asOf, setAsOf] = useState(null);
   const [error, setError] = useState('');
+  const [unavailableParts, setUnavailableParts] = useState([]);
   const [store, setStore] = useState(null);
   const [lowStockItems, setLowStockItems] = useState([]);
   const [stats, setStats] = useState({});
+  const [settings, setSettings] = useState({});
+  const [locations, setLocations] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [adjustingItems, setAdjustingItems] = useState([]);
+  const [restockMessage, setRestockMessage] = useState(null);
+  const [itemStatuses, setItemStatuses] = useState([]);
+  const [snoozingItems, setSnoozingItems] = useState([]);
+  const [toastMessage, setToastMessage] = useState('');
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [highlightedIds, setHighlightedIds] = useState(new Set());
+
+  // The location switcher lives in the URL too, so a warehouse lead can bookmark their site
+  const selectedLocationId = searchParams.get('location') || '';
 
-  console.log(store);
-  
+  // Stream handlers outlive the render that set them up, so they read the latest items from here
+  const itemsRef = useRef(lowStockItems);
+  itemsRef.current = lowStockItems;
+  // The same goes for the online listener, which reloads for the location on screen
+  const selectedLocationRef = useRef(selectedLocationId);
+  selectedLocationRef.current = selectedLocationId;
+  // Adjustments still waiting on the API, and the timers that unhighlight rows
+  const pendingAdjustmentsRef = useRef(0);
+  const highlightTimersRef = useRef(new Set());
 
   useEffect(() => {
+    // Nothing to show from the cache is fine; the fetch below fills the page
+    showCachedData().catch((err) => log.warn('Could not show cached dashboard', err));
     fetchDashboardData();
+
+    // Pick up where we left off once the connection comes back
+    window.addEventListener('online', fetchDashboardData);
+    return () => window.removeEventListener('online', fetchDashboardData);
+  }, []);
+
+  // The stream only sends items that match the candidate query and reports
+  // the rest as removed, so a wider query once settings load needs a new stream
+  const candidateQuery = getCandidateQuery(settings, selectedLocationId || null);
+  const candidateQueryKey = JSON.stringify(candidateQuery);
+  useEffect(() => {
+    return apiService.subscribeToInventory(applyInventoryUpdate, {
+      onStatusChange: setLiveStatus,
+      getLowStockQuery: () => candidateQuery,
+    });
+  }, [candidateQueryKey]);
+
+  // Stock is counted per location, so another location can have low items the
+  // list doesn't include yet. The first load already asked for this one.
+  const loadedLocationRef = useRef(selectedLocationId);
+  useEffect(() => {
+    if (loadedLocationRef.current === selectedLocationId) return undefined;
+    loadedLocationRef.current = selectedLocationId;
+
+    let ignore = false;
+    apiService.getLowStock(candidateQuery)
+      .then((lowStockRes) => {
+        if (!ignore) setLowStockItems(lowStockRes.low_stock_items);
+      })
+      .catch((err) => {
+        log.error('Low stock error', err);
+        if (!ignore) setError(err.response?.data?.error || t('dashboard.loadError'));
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    const timers = highlightTimersRef.current;
+    return () => timers.forEach(clearTimeout);
   }, []);
 
+  const highlightRows = (ids) => {
+    if (ids.length === 0) return;
+    setHighlightedIds((current) => new Set([...current, ...ids]));
+    const timer = setTimeout(() => {
+      highlightTimersRef.current.delete(timer);
+      setHighlightedIds((current) => new Set([...current].filter((id) => !ids.includes(id))));
+    }, HIGHLIGHT_DURATION);
+    highlightTimersRef.current.add(timer);
+  };
+
+  // Merges a stream or polling update into the items. Rows whose stock changed
+  // are highlighted for a moment; the stat cards follow from visibleItems.
+  // A snapshot taken while an adjustment is in flight may predate it and would
+  // undo the optimistic quantities, so it waits for the next one.
+  const applyInventoryUpdate = (update) => {
+    if (update.type === 'snapshot' && pendingAdjustmentsRef.current > 0) return;
+
+    const previous = new Map(itemsRef.current.map((item) => [getItemId(item), item]));
+    const incoming = update.items || [];
+    const changedIds = incoming
+      .filter((item) => previous.get(getItemId(item))?.stock_quantity !== item.stock_quantity)
+      .map(getItemId);
+
+    if (update.type === 'snapshot') {
+      setLowStockItems(incoming);
+    } else {
+      const removed = new Set((update.removed || []).map(String));
+      const updates = new Map(incoming.map((item) => [getItemId(item), item]));
+      setLowStockItems((items) => [
+        ...items
+          .filter((item) => !removed.has(getItemId(item)))
+          .map((item) => updates.get(getItemId(item)) || item),
+        ...incoming.filter((item) => !previous.has(getItemId(item))),
+      ]);
+    }
+
+    if (update.stats) setStats((current) => ({ ...current, ...update.stats }));
+    highlightRows(changedIds);
+  };
+
+  // No store_id needed - authenticated via session token. Low stock waits for
+  // the settings, whose overrides decide how wide the candidate query is.
+  // Only the store, low stock and stats fail the load; an auxiliary part that
+  // fails comes back as null and the features that need it do without.
+  const loadDashboard = (options) => {
+    const settingsRequest = apiService.getSettings(options);
+    return Promise.all([
+      apiService.getStore(options),
+      settingsRequest.catch(() => null).then((settingsRes) => apiService.getLowStock(
+        getCandidateQuery(settingsRes?.settings, selectedLocationRef.current || null),
+        options
+      )),
+      apiService.getStats(options),
+      Promise.allSettled([
+        settingsRequest,
+        apiService.getLocations(options),
+        apiService.getSuppliers(options),
+        apiService.getItemStatuses(options),
+      ]),
+    ]).then(([storeRes, lowStockRes, statsRes, auxiliary]) => [
+      storeRes,
+      lowStockRes,
+      statsRes,
+      ...auxiliary.map((result, index) => {
+        if (result.status === 'fulfilled') return result.value;
+        log.warn(`Dashboard loaded without ${AUXILIARY_PARTS[index]}`, result.reason);
+        return null;
+      }),
+    ]);
+  };
+
+  const applyDashboardData = ([
+    storeRes,
+    lowStockRes,
+    statsRes,
+    settingsRes,
+    locationsRes,
+    suppliersRes,
+    statusesRes
+  ]) => {
+    setStore(storeRes.store);
+    setLowStockItems(lowStockRes.low_stock_items);
+    setStats(statsRes.stats);
+    if (settingsRes) setSettings(settingsRes.settings);
+    if (locationsRes) setLocations(locationsRes.locations);
+    if (suppliersRes) setSuppliers(suppliersRes.suppliers);
+    if (statusesRes) setItemStatuses(statusesRes.statuses);
+  };
+
+  // Show the last good data straight away while fresh data loads. Only the
+  // read models are cached (see ResponseCache); the rest waits for the API.
+  const showCachedData = async () => {
+    const cached = await loadDashboard({ cached: true });
+    const [storeRes, lowStockRes, statsRes] = cached;
+    if (!storeRes || !lowStockRes || !statsRes) return;
+    applyDashboardData(cached);
+    setAsOf(getCachedAt(cached.filter(Boolean)));
+    setLoading(false);
+  };
+
   const fetchDashboardData = async () => {
-    setLoading(true);
+    setRefreshing(true);
     setError('');
 
     try {
-      // No store_id needed - authenticated via session token
-      const [storeRes, lowStockRes, statsRes] = await Promise.all([
-        apiService.getStore(),
-        apiService.getLowStock(),
-        apiService.getStats(),
-      ]);
-
-      setStore(storeRes.data.store);
-      setLowStockItems(lowStockRes.data.low_stock_items);
-      setStats(lowStockRes.data.stats);
+      const responses = await loadDashboard();
+      applyDashboardData(responses);
+      setAsOf(getCachedAt(responses.filter(Boolean)));
+      setUnavailableParts(AUXILIARY_PARTS.filter((part, index) => !responses[index + 3]));
     } catch (err) {
-      console.error('Dashboard error:', err);
-      setError(err.response?.data?.error || 'Failed to load dashboard data');
+      log.error('Dashboard error', err);
+      setError(err.response?.data?.error || t('dashboard.loadError'));
     } finally {
       setLoading(false);
+      setRefreshing(false);
     }
   };
 
   const handleSettingsClick = () => {
-    // Keep shop and host parameters for App Bridge
-    const params = new URLSearchParams(window.location.search);
-    window.location.href = `/setup-wizard?${params.toString()}`;
-  };
-
-  const rows = lowStockItems.map((item) => [
-    item.product_name,
-    item.variant_name || '-',
-    item.sku || '-',
-    <Badge tone={item.stock_quantity <= stats.threshold / 2 ? 'critical' : 'warning'}>
-      {item.stock_quantity} units
-    </Badge>,
-    <Link url={item.shopify_admin_url} external>
-      View in Shopify
-    </Link>
-  ]);
+    navigate('/settings');
+  };
+
+  const handlePurchaseOrdersClick = () => {
+    navigate('/purchase-orders');
+  };
+
+  const handleCreatePurchaseOrders = async (items) => {
+    const orders = buildDraftOrders(items, settings.reorder);
+    if (orders.length === 0) {
+      setError(t('dashboard.nothingToReorder'));
+      return;
+    }
+
+    try {
+      await apiService.createPurchaseOrders(orders);
+      handlePurchaseOrdersClick();
+    } catch (err) {
+      log.error('Purchase order error', err);
+      setError(err.response?.data?.error || t('dashboard.purchaseOrderError'));
+    }
+  };
+
+  const handleSuppliersClick = () => {
+    navigate('/suppliers');
+  };
+
+  // One email per supplier, so a bulk request needs every selected row to share one
+  const handleRequestRestock = (items) => {
+    const supplierIds = new Set(items.map((item) => item.supplier?.id));
+    if (supplierIds.has(undefined)) {
+      setError(t('dashboard.restockNeedsSupplier'));
+      return;
+    }
+    if (supplierIds.size > 1) {
+      setError(t('dashboard.restockSingleSupplier'));
+      return;
+    }
+    setRestockMessage(buildRestockMessage(items[0].supplier, items, store?.name));
+  };
+
+  const handleAlertHistoryClick = () => {
+    navigate('/alert-history');
+  };
+
+  const handleDiagnosticsClick = () => {
+    navigate('/diagnostics');
+  };
+
+  const handleTrendsClick = () => {
+    navigate('/trends');
+  };
+
+  // The variant page counts the same location the dashboard is showing
+  const handleOpenItem = (item) => {
+    const query = selectedLocationId ? `?${new URLSearchParams({ location: selectedLocationId })}` : '';
+    navigate(`/variants/${item.variant_id}${query}`);
+  };
+
+  // Actions outside the store's plan open the plans page instead
+  const withFeature = (feature, action) => (...args) =>
+    hasFeature(feature) ? action(...args) : navigate(`/plans?feature=${feature}`);
+
+  const upgradePlan = plan && nextPlan(plan);
+
+  const countedLocationIds = selectedLocationId ? [selectedLocationId] : settings.alert_location_ids || [];
+  const locationThreshold = selectedLocationId
+    ? getLocationThreshold(settings.location_thresholds, selectedLocationId)
+    : null;
+  // Stats carry the store threshold too, for when settings didn't load
+  const storeThreshold = settings.threshold ?? stats.threshold;
+
+  const handleLocationChange = (locationId) => {
+    const params = new URLSearchParams(searchParams);
+    if (locationId) {
+      params.set('location', locationId);
+    } else {
+      params.delete('location');
+    }
+    params.delete('page');
+    setSearchParams(params, { replace: true });
+  };
+
+  const selectedView = searchParams.get('view') === 'muted' ? 'muted' : 'low-stock';
+  const handleViewChange = (index) => {
+    const params = new URLSearchParams(searchParams);
+    if (index === 1) {
+      params.set('view', 'muted');
+    } else {
+      params.delete('view');
+    }
+    params.delete('page');
+    setSearchParams(params, { replace: true });
+  };
+
+  // Count only the chosen locations and apply per-item threshold overrides,
+  // worked out row by row the same way the variant page does
+  const statusIndex = indexStatuses(itemStatuses);
+  const visibleItems = lowStockItems
+    .filter((item) => !isMuted(statusIndex.get(getItemId(item))))
+    .filter((item) =>
+      !selectedLocationId ||
+      !hasLocationLevels(item) ||
+      item.inventory_levels.some((level) => sameId(level.location_id, selectedLocationId))
+    )
+    .map((item) => {
+      const { quantity, threshold, forecast, severity } = assessItem(item, settings, {
+        locationId: selectedLocationId || null,
+        storeThreshold,
+      });
+      return {
+        ...item,
+        ...forecast,
+        supplier: findSupplier(item, suppliers),
+        status_entry: statusIndex.get(getItemId(item)) || null,
+        stock_quantity: quantity,
+        threshold,
+        severity,
+      };
+    })
+    .filter((item) => item.severity !== 'ok')
+    .map((item) => ({ ...item, reorder_quantity: suggestReorderQuantity(item, settings.reorder) }));
+
+  const mutedEntries = itemStatuses.filter((entry) => isMuted(entry));
+
+  // Statuses are saved optimistically and put back if the API call fails
+  const saveStatuses = async (nextStatuses, request, successMessage) => {
+    const previousStatuses = itemStatuses;
+    setItemStatuses(nextStatuses);
+
+    try {
+      await request();
+      setToastMessage(successMessage);
+    } catch (err) {
+      log.error('Item status error', err);
+      setItemStatuses(previousStatuses);
+      setError(err.response?.data?.error || t('dashboard.statusError'));
+    }
+  };
+
+  const applyStatus = (items, data) => {
+    const ids = new Set(items.map(getItemId));
+    const entries = items.map((item) => ({
+      variant_id: item.variant_id,
+      product_name: item.product_name,
+      variant_name: item.variant_name,
+      sku: item.sku,
+      ...data,
+    }));
+    const label = items.length === 1 ? items[0].product_name : t('dashboard.productCount', { count: items.length });
+
+    saveStatuses(
+      [...itemStatuses.filter((entry) => !ids.has(getItemId(entry))), ...entries],
+      () => apiService.updateItemStatuses(items.map((item) => item.variant_id), data),
+      t(`dashboard.statusSaved.${data.status}`, { label })
+    );
+  };
+
+  const handleSetStatus = (items, status) => {
+    if (status === ITEM_STATUSES.snoozed) {
+      setSnoozingItems(items);
+      return;
+    }
+    applyStatus(items, { status });
+  };
+
+  const handleSnoozeSubmit = (choice) => {
+    applyStatus(snoozingItems, buildSnooze(choice));
+    setSnoozingItems([]);
+  };
+
+  const handleRestore = (entries) => {
+    const ids = new Set(entries.map(getItemId));
+    saveStatuses(
+      itemStatuses.filter((entry) => !ids.has(getItemId(entry))),
+      () => apiService.clearItemStatuses(entries.map((entry) => entry.variant_id)),
+      t('dashboard.restored', {
+        label: entries.length === 1 ? entries[0].product_name : t('dashboard.productCount', { count: entries.length })
+      })
+    );
+  };
+
+  // Table state lives in the URL next to shop/host so filtered views can be bookmarked
+  const tableQuery = parseTableQuery(searchParams);
+  const handleTableQueryChange = (query) => {
+    setSearchParams(mergeTableQuery(searchParams, query), { replace: true });
+  };
+
+  // Shows the new quantities right away and puts the old items back if the API call fails.
+  // Rows that end up above their threshold drop out of visibleItems on their own.
+  const handleAdjustSubmit = async ({ mode, quantity, reason, note, location_id: locationId }) => {
+    const targetIds = new Set(adjustingItems.map(getItemId));
+    const previousItems = new Map(
+      lowStockItems.filter((item) => targetIds.has(getItemId(item))).map((item) => [getItemId(item), item])
+    );
+    const replaceItems = (getItem) => {
+      setLowStockItems((items) =>
+        items.map((item) => (previousItems.has(getItemId(item)) ? getItem(item) : item))
+      );
+    };
+
+    setAdjustingItems([]);
+    pendingAdjustmentsRef.current += 1;
+    replaceItems((item) => {
+      const current = getLocationQuantity(item, locationId ? [locationId] : []);
+      return setLocationQuantity(item, locationId, mode === 'set' ? quantity : current + quantity);
+    });
+
+    try {
+      const adjustRes = await apiService.adjustInventory(
+        [...previousItems.values()].map((item) => ({
+          variant_id: item.variant_id,
+          inventory_item_id: item.inventory_item_id,
+          location_id: locationId,
+          mode,
+          quantity,
+          reason,
+          note,
+        }))
+      );
+
+      // Prefer the quantities Shopify actually recorded
+      const confirmed = new Map(adjustRes.items.map((item) => [getItemId(item), item]));
+      if (confirmed.size) {
+        replaceItems((item) => ({ ...item, ...confirmed.get(getItemId(item)) }));
+      }
+    } catch (err) {
+      log.error('Inventory adjustment error', err);
+      replaceItems((item) => previousItems.get(getItemId(item)));
+      setError(err.response?.data?.error || t('dashboard.adjustError'));
+    } finally {
+      pendingAdjustmentsRef.current -= 1;
+    }
+  };
+
+  const handleExport = async (format) => {
+    // Export what the table currently shows, across all pages
+    const items = applyTableQuery(visibleItems, tableQuery);
+    const options = { storeName: store?.name || store?.shop_domain, generatedAt: new Date() };
+
+    try {
+      if (format === 'xlsx') {
+        await exportXlsx(items, options);
+      } else {
+        exportCsv(items, options);
+      }
+    } catch (err) {
+      log.error('Export error', err);
+      setError(t('dashboard.exportError'));
+    }
+  };
 
   if (loading) {
     return (
-      <Page title="Dashboard">
+      <Page title={t('dashboard.loadingTitle')}>
         <Card>
           <div style={{ padding: '60px', textAlign: 'center' }}>
             <Spinner size="large" />
             <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
-              Loading dashboard...
+              {t('dashboard.loading')}
             </Text>
           </div>
         </Card>
@@ -88,16 +533,58 @@ export default function Dashboard() {
 
   return (
     <Page
-      title="Low Stock Dashboard"
+      title={t('dashboard.title')}
       subtitle={store ? `${store.name}` : ''}
+      titleMetadata={asOf
+        ? <Badge tone="attention">{t('dashboard.asOf', { time: formatAsOf(asOf) })}</Badge>
+        : liveStatus === 'live' ? <Badge tone="success">{t('dashboard.live')}</Badge>
+        : liveStatus === 'reconnecting' && <Badge tone="attention">{t('dashboard.reconnecting')}</Badge>}
       primaryAction={{
-        content: 'Refresh',
+        content: t('dashboard.refresh'),
         onAction: fetchDashboardData,
+        loading: refreshing,
       }}
       secondaryActions={[
         {
-          content: 'Settings',
+          content: t('dashboard.trends'),
+          onAction: handleTrendsClick
+        },
+        {
+          content: t('dashboard.purchaseOrders'),
+          onAction: handlePurchaseOrdersClick
+        },
+        {
+          content: t('dashboard.suppliers'),
+          onAction: handleSuppliersClick
+        },
+        {
+          content: t('dashboard.alertHistory'),
+          onAction: handleAlertHistoryClick
+        },
+        {
+          content: t('dashboard.settings'),
           onAction: handleSettingsClick
+        },
+        {
+          content: t('dashboard.diagnostics'),
+          onAction: handleDiagnosticsClick
+        }
+      ]}
+      actionGroups={[
+        {
+          title: t('dashboard.export'),
+          actions: [
+            {
+              content: t('dashboard.exportCsv'),
+              disabled: visibleItems.length === 0,
+              onAction: withFeature('export', () => handleExport('csv'))
+            },
+            {
+              content: t('dashboard.exportXlsx'),
+              disabled: visibleItems.length === 0,
+              onAction: withFeature('export', () => handleExport('xlsx'))
+            }
+          ]
         }
       ]}
     >
@@ -108,6 +595,20 @@ export default function Dashboard() {
           </Banner>
         )}
 
+        {unavailableParts.length > 0 && (
+          <Banner tone="warning" onDismiss={() => setUnavailableParts([])}>
+            {t('dashboard.partialLoad', {
+              parts: formatList(unavailableParts.map((part) => t(`dashboard.parts.${part}`)))
+            })}
+          </Banner>
+        )}
+
+        {asOf && !refreshing && (
+          <Banner tone="warning">
+            {t('dashboard.offline', { time: formatAsOf(asOf) })}
+          </Banner>
+        )}
+
         {/* Stats Cards */}
         <Layout>
           <Layout.Section>
@@ -115,10 +616,10 @@ export default function Dashboard() {
               <Card>
                 <BlockStack gap="200">
                   <Text as="p" variant="bodyMd" tone="subdued">
-                    Low Stock Items
+                    {t('dashboard.lowStockItems')}
                   </Text>
                   <Text as="h2" variant="heading2xl">
-                    {stats.total_low_stock || 0}
+                    {formatNumber(visibleItems.length)}
                   </Text>
                 </BlockStack>
               </Card>
@@ -126,10 +627,10 @@ export default function Dashboard() {
               <Card>
                 <BlockStack gap="200">
                   <Text as="p" variant="bodyMd" tone="subdued">
-                    Critically Low
+                    {t('dashboard.criticallyLow')}
                   </Text>
                   <Text as="h2" variant="heading2xl" tone="critical">
-                    {stats.critically_low || 0}
+                    {formatNumber(visibleItems.filter((item) => item.severity === 'critical').length)}
                   </Text>
                 </BlockStack>
               </Card>
@@ -137,10 +638,10 @@ export default function Dashboard() {
               <Card>
                 <BlockStack gap="200">
                   <Text as="p" variant="bodyMd" tone="subdued">
-                    Your Threshold
+                    {t('dashboard.yourThreshold')}
                   </Text>
                   <Text as="h2" variant="heading2xl">
-                    {stats.threshold || 10}
+                    {formatNumber(locationThreshold ?? (storeThreshold || 10))}
                   </Text>
                 </BlockStack>
               </Card>
@@ -148,48 +649,86 @@ export default function Dashboard() {
               <Card>
                 <BlockStack gap="200">
                   <Text as="p" variant="bodyMd" tone="subdued">
-                    Last Check
+                    {t('dashboard.lastCheck')}
                   </Text>
                   <Text as="h2" variant="headingLg">
-                    {stats.last_check || 'N/A'}
+                    {stats.last_check ? formatDateTime(stats.last_check) : t('common.notAvailable')}
                   </Text>
+                  <InlineStack>
+                    <Button variant="plain" onClick={handleAlertHistoryClick}>
+                      {t('dashboard.viewAlertHistory')}
+                    </Button>
+                  </InlineStack>
                 </BlockStack>
               </Card>
             </InlineGrid>
           </Layout.Section>
         </Layout>
 
-        {/* Coming Soon Banner */}
-        <Banner status="info">
-          <BlockStack gap="200">
-            <Text as="p" variant="bodyMd" fontWeight="semibold">
-              🚀 Premium Features Coming Soon
-            </Text>
-            <Text as="p" variant="bodyMd">
-              Slack/SMS notifications, inventory forecasting, automated reordering, and more!
-            </Text>
-          </BlockStack>
-        </Banner>
+        {upgradePlan && !upgradeDismissed && (
+          <UpgradePrompt
+            title={t('plans.upgrade.dashboardTitle', { plan: planName(upgradePlan) })}
+            message={t('plans.upgrade.dashboardMessage', { features: describeFeatures(upgradePlan) })}
+            onDismiss={() => setUpgradeDismissed(true)}
+          />
+        )}
 
         {/* Low Stock Table */}
         <Card>
           <BlockStack gap="400">
-            <Text as="h2" variant="headingMd">
-              Low Stock Products
-            </Text>
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="h2" variant="headingMd">
+                {t('dashboard.lowStockProducts')}
+              </Text>
+              {locations.length > 1 && (
+                <Select
+                  label={t('dashboard.location')}
+                  labelInline
+                  options={[
+                    { label: t('dashboard.allLocations'), value: '' },
+                    ...locations.map((location) => ({ label: location.name, value: String(location.id) })),
+                  ]}
+                  value={selectedLocationId}
+                  onChange={handleLocationChange}
+                />
+              )}
+            </InlineStack>
+
+            <Tabs
+              tabs={[
+                { id: 'low-stock', content: t('dashboard.lowStockTab') },
+                { id: 'muted', content: t('dashboard.mutedTab', { count: mutedEntries.length }) },
+              ]}
+              selected={selectedView === 'muted' ? 1 : 0}
+              onSelect={handleViewChange}
+            />
 
-            {lowStockItems.length === 0 ? (
+            {selectedView === 'muted' ? (
+              <MutedItemsTable entries={mutedEntries} onRestore={handleRestore} />
+            ) : visibleItems.length === 0 ? (
               <EmptyState
-                heading="No low stock items"
+                heading={t('dashboard.emptyTitle')}
                 image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
               >
-                <p>All your products are well-stocked! 🎉</p>
+                <p>{t('dashboard.emptyMessage')}</p>
               </EmptyState>
             ) : (
-              <DataTable
-                columnContentTypes={['text', 'text', 'text', 'text', 'text']}
-                headings={['Product', 'Variant', 'SKU', 'Stock', 'Action']}
-                rows={rows}
+              <LowStockTable
+                items={visibleItems}
+                query={tableQuery}
+                onQueryChange={handleTableQueryChange}
+                onOpen={handleOpenItem}
+                onAdjust={setAdjustingItems}
+                onRequestRestock={withFeature('suppliers', handleRequestRestock)}
+                onSetStatus={handleSetStatus}
+                highlightedIds={highlightedIds}
+                bulkActions={[
+                  {
+                    content: t('dashboard.createPurchaseOrders'),
+                    onAction: withFeature('purchaseOrders', handleCreatePurchaseOrders)
+                  },
+                  { content: t('dashboard.requestRestock'), onAction: withFeature('suppliers', handleRequestRestock) }
+                ]}
               />
             )}
           </BlockStack>
@@ -199,20 +738,50 @@ export default function Dashboard() {
         <Card>
           <BlockStack gap="200">
             <Text as="h3" variant="headingSm">
-              💡 Tips
+              {t('dashboard.tipsTitle')}
             </Text>
             <Text as="p" variant="bodyMd" tone="subdued">
-              • Click "View in Shopify" to update inventory directly
+              {t('dashboard.tipOpen')}
             </Text>
             <Text as="p" variant="bodyMd" tone="subdued">
-              • You'll receive a daily email summary at 9 AM
+              {t('dashboard.tipAdjust')}
             </Text>
             <Text as="p" variant="bodyMd" tone="subdued">
-              • Adjust your threshold in Settings if needed
+              {t('dashboard.tipSnooze')}
+            </Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              {t('dashboard.tipSchedule', { schedule: describeSchedule(normalizeSchedule(settings.schedule, settings)) })}
+            </Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              {t('dashboard.tipThreshold')}
             </Text>
           </BlockStack>
         </Card>
       </BlockStack>
+
+      <AdjustInventoryModal
+        items={adjustingItems}
+        locations={locations}
+        defaultLocationId={selectedLocationId || countedLocationIds[0] || locations[0]?.id}
+        onClose={() => setAdjustingItems([])}
+        onSubmit={handleAdjustSubmit}
+      />
+
+      <SnoozeModal
+        items={snoozingItems}
+        onClose={() => setSnoozingItems([])}
+        onSubmit={handleSnoozeSubmit}
+      />
+
+      <RestockRequestModal
+        message={restockMessage}
+        onClose={() => setRestockMessage(null)}
+        onCopied={() => setToastMessage(t('dashboard.restockCopied'))}
+      />
+
+      {toastMessage && (
+        <Toast content={toastMessage} onDismiss={() => setToastMessage('')} />
+      )}
     </Page>
   );
 }
\ No newline at end of file
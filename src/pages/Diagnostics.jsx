@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  Banner,
+  BlockStack,
+  InlineStack,
+  DescriptionList,
+  DataTable,
+  Spinner,
+  Toast
+} from '@shopify/polaris';
+import {
+  apiService,
+  EnvironmentConfig,
+  ShopifyAppConfig,
+  AppBridgeService,
+  ApiCallLog
+} from '../services/api';
+import { redact, getRecentEntries, createLogger } from '../services/logger';
+import { t, formatDate } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('Diagnostics');
+
+const yesNo = (value) => (value ? t('diagnostics.yes') : t('diagnostics.no'));
+
+const formatTime = (value) => (value ? formatDate(value, { timeStyle: 'medium' }) : '-');
+
+const statusBadge = (status) => {
+  if (!status) return <Badge tone="critical">{t('diagnostics.noResponse')}</Badge>;
+  return <Badge tone={status < 400 ? 'success' : 'critical'}>{String(status)}</Badge>;
+};
+
+export default function Diagnostics() {
+  const navigate = useAppNavigate();
+  const [health, setHealth] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [apiCalls, setApiCalls] = useState(ApiCallLog.list());
+  const [logEntries, setLogEntries] = useState(getRecentEntries());
+  const [toastMessage, setToastMessage] = useState('');
+
+  useEffect(() => {
+    runHealthCheck();
+  }, []);
+
+  const runHealthCheck = async () => {
+    setChecking(true);
+    const startedAt = performance.now();
+
+    try {
+      const result = await apiService.healthCheck();
+      setHealth({ ok: true, result, duration: Math.round(performance.now() - startedAt) });
+    } catch (err) {
+      log.error('Health check error', err);
+      setHealth({
+        ok: false,
+        status: err.response?.status,
+        error: err.response?.data?.error || err.message,
+        duration: Math.round(performance.now() - startedAt),
+      });
+    } finally {
+      setChecking(false);
+      setApiCalls(ApiCallLog.list());
+      setLogEntries(getRecentEntries());
+    }
+  };
+
+  const environment = EnvironmentConfig.getEnvironment();
+  const appBridge = AppBridgeService.getState();
+  const context = {
+    shop: ShopifyAppConfig.getShopDomain(),
+    host: ShopifyAppConfig.getHost(),
+    embedded: window.top !== window.self,
+    online: navigator.onLine,
+    userAgent: navigator.userAgent,
+  };
+
+  // Everything above, redacted, for pasting into a support ticket
+  const handleCopyReport = async () => {
+    const report = redact({
+      generated_at: new Date().toISOString(),
+      environment,
+      context,
+      app_bridge: appBridge,
+      health,
+      api_calls: apiCalls,
+      logs: logEntries,
+    });
+
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      setToastMessage(t('diagnostics.copied'));
+    } catch (err) {
+      log.error('Clipboard error', err);
+    }
+  };
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  const safeContext = redact(context);
+
+  return (
+    <Page
+      title={t('diagnostics.title')}
+      subtitle={t('diagnostics.subtitle')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      primaryAction={{ content: t('diagnostics.copyReport'), onAction: handleCopyReport }}
+      secondaryActions={[{ content: t('diagnostics.runHealthCheck'), loading: checking, onAction: runHealthCheck }]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="h2" variant="headingMd">
+                  {t('diagnostics.health')}
+                </Text>
+                {checking ? (
+                  <Spinner size="small" />
+                ) : (
+                  <Badge tone={health?.ok ? 'success' : 'critical'}>
+                    {health?.ok ? t('diagnostics.reachable') : t('diagnostics.unreachable')}
+                  </Badge>
+                )}
+              </InlineStack>
+              {health && !checking && (
+                health.ok ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {health.result.mock
+                      ? t('diagnostics.respondedMock', { duration: health.duration })
+                      : t('diagnostics.responded', { duration: health.duration })}
+                  </Text>
+                ) : (
+                  <Banner tone="critical">
+                    {t('diagnostics.failed', {
+                      error: health.status ? `HTTP ${health.status}: ${health.error}` : health.error,
+                      duration: health.duration,
+                    })}
+                  </Banner>
+                )
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneHalf">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {t('diagnostics.environment')}
+              </Text>
+              <DescriptionList
+                items={[
+                  { term: t('diagnostics.mode'), description: environment.mode },
+                  { term: t('diagnostics.apiBaseUrl'), description: environment.apiBaseUrl },
+                  { term: t('diagnostics.mockApi'), description: yesNo(environment.mockApi) },
+                  { term: t('diagnostics.apiKeyPresent'), description: yesNo(environment.apiKeyPresent) },
+                  { term: t('diagnostics.logLevel'), description: environment.logLevel },
+                  { term: t('diagnostics.online'), description: yesNo(context.online) },
+                ]}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneHalf">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {t('diagnostics.shopify')}
+              </Text>
+              <DescriptionList
+                items={[
+                  { term: t('diagnostics.shop'), description: safeContext.shop || t('diagnostics.missing') },
+                  {
+                    term: t('diagnostics.hostParameter'),
+                    description: context.host ? t('diagnostics.present') : t('diagnostics.missing'),
+                  },
+                  { term: t('diagnostics.embedded'), description: yesNo(context.embedded) },
+                  { term: t('diagnostics.appBridgeInitialized'), description: yesNo(appBridge.initialized) },
+                  { term: t('diagnostics.tokenCached'), description: yesNo(appBridge.hasToken) },
+                  { term: t('diagnostics.tokenExpires'), description: formatTime(appBridge.tokenExpiresAt) },
+                ]}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {t('diagnostics.apiCalls')}
+              </Text>
+              {apiCalls.length === 0 ? (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  {t('diagnostics.noApiCalls')}
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={['text', 'text', 'text', 'text', 'numeric', 'numeric']}
+                  headings={[
+                    t('diagnostics.time'),
+                    t('diagnostics.request'),
+                    t('diagnostics.status'),
+                    t('diagnostics.error'),
+                    t('diagnostics.attempt'),
+                    t('diagnostics.duration')
+                  ]}
+                  rows={apiCalls.map((call) => [
+                    formatTime(call.time),
+                    `${call.method} ${call.url}`,
+                    statusBadge(call.status),
+                    call.error || '-',
+                    call.attempt,
+                    call.duration === null ? '-' : t('diagnostics.milliseconds', { duration: call.duration }),
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {t('diagnostics.logEntries')}
+              </Text>
+              {logEntries.length === 0 ? (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  {t('diagnostics.noLogEntries')}
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={['text', 'text', 'text', 'text']}
+                  headings={[
+                    t('diagnostics.time'),
+                    t('diagnostics.level'),
+                    t('diagnostics.source'),
+                    t('diagnostics.message')
+                  ]}
+                  rows={logEntries.slice(0, 30).map((entry) => [
+                    formatTime(entry.time),
+                    entry.level,
+                    entry.scope,
+                    entry.message,
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      {toastMessage && (
+        <Toast content={toastMessage} onDismiss={() => setToastMessage('')} />
+      )}
+    </Page>
+  );
+}
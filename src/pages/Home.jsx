@@ -0,0 +1,8 @@
+import { Navigate } from 'react-router-dom';
+import { withAppParams } from '../services/navigation';
+
+// The admin opens the app at /. SetupGate sends stores that haven't finished
+// setup on to the wizard from there.
+export default function Home() {
+  return <Navigate to={withAppParams('/dashboard')} replace />;
+}
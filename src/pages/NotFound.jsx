@@ -0,0 +1,21 @@
+import { Page, Card, EmptyState } from '@shopify/polaris';
+import { useAppNavigate } from '../services/navigation';
+import { t } from '../services/i18n';
+
+export default function NotFound() {
+  const navigate = useAppNavigate();
+
+  return (
+    <Page>
+      <Card>
+        <EmptyState
+          heading={t('notFound.title')}
+          action={{ content: t('notFound.action'), onAction: () => navigate('/dashboard') }}
+          image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+        >
+          <p>{t('notFound.message')}</p>
+        </EmptyState>
+      </Card>
+    </Page>
+  );
+}
@@ -0,0 +1,269 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Page,
+  Card,
+  Text,
+  Button,
+  Banner,
+  Badge,
+  List,
+  Modal,
+  Spinner,
+  BlockStack,
+  InlineStack,
+  InlineGrid
+} from '@shopify/polaris';
+import { apiService, AppBridgeService } from '../services/api';
+import { usePlan } from '../components/PlanProvider';
+import {
+  PLANS,
+  getPlan,
+  requiredPlan,
+  planName,
+  featureName,
+  formatPrice
+} from '../services/plans';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+import { useAppNavigate, withAppParams } from '../services/navigation';
+
+const log = createLogger('Plans');
+
+export default function Plans() {
+  const navigate = useAppNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { plan, loading, error: planError, setPlan } = usePlan();
+  const [confirming, setConfirming] = useState(false);
+  const [subscribing, setSubscribing] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [cancelModalOpen, setCancelModalOpen] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState('');
+  const confirmedCharge = useRef(null);
+
+  const currentPlan = getPlan(plan);
+  const chargeId = searchParams.get('charge_id');
+  const wantedFeature = searchParams.get('feature');
+  const wantedPlan = wantedFeature && requiredPlan(wantedFeature);
+
+  // Shopify sends the merchant back here with charge_id whether they approved
+  // the charge or declined it; the backend knows which
+  useEffect(() => {
+    if (!chargeId || confirmedCharge.current === chargeId) return;
+    confirmedCharge.current = chargeId;
+
+    const confirmCharge = async () => {
+      setConfirming(true);
+      setError('');
+
+      try {
+        const billingRes = await apiService.confirmSubscription(chargeId);
+        const confirmedPlan = getPlan(billingRes.store.plan);
+        setPlan(confirmedPlan.id);
+
+        if (billingRes.status === 'active') {
+          setNotice({ tone: 'success', message: t('plans.approved', { plan: planName(confirmedPlan) }) });
+        } else {
+          setNotice({ tone: 'warning', message: t('plans.declined', { plan: planName(confirmedPlan) }) });
+        }
+      } catch (err) {
+        log.error('Subscription confirm error', err);
+        setError(err.response?.data?.error || t('plans.confirmError'));
+      } finally {
+        setConfirming(false);
+        // A reload shouldn't confirm the same charge again
+        setSearchParams((params) => {
+          params.delete('charge_id');
+          return params;
+        }, { replace: true });
+      }
+    };
+    confirmCharge();
+  }, [chargeId]);
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  const handleSubscribe = async (targetPlan) => {
+    setSubscribing(targetPlan.id);
+    setError('');
+
+    try {
+      const returnUrl = new URL(withAppParams('/plans'), window.location.origin).toString();
+      const subscriptionRes = await apiService.subscribe(targetPlan.id, returnUrl);
+      // Shopify's approval page is outside the app; we come back to returnUrl
+      AppBridgeService.redirectRemote(subscriptionRes.confirmation_url);
+    } catch (err) {
+      log.error('Subscribe error', err);
+      setError(err.response?.data?.error || t('plans.subscribeError'));
+      setSubscribing(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    setError('');
+
+    try {
+      const billingRes = await apiService.cancelSubscription();
+      const newPlan = getPlan(billingRes.store.plan);
+      setPlan(newPlan.id);
+      setNotice({ tone: 'success', message: t('plans.switched', { plan: planName(newPlan) }) });
+    } catch (err) {
+      log.error('Cancel subscription error', err);
+      setError(err.response?.data?.error || t('plans.cancelError'));
+    } finally {
+      setCancelling(false);
+      setCancelModalOpen(false);
+    }
+  };
+
+  if (loading || confirming) {
+    return (
+      <Page title={t('plans.title')}>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+              {confirming ? t('plans.confirming') : t('plans.loading')}
+            </Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  // Without the current plan there's no telling an upgrade from a downgrade
+  if (!plan) {
+    return (
+      <Page title={t('plans.title')} backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}>
+        <Banner tone="critical">{planError || error}</Banner>
+      </Page>
+    );
+  }
+
+  const renderAction = (option) => {
+    if (option.id === currentPlan.id) {
+      return <Button disabled>{t('plans.currentPlan')}</Button>;
+    }
+
+    if (!option.price) {
+      return (
+        <Button tone="critical" onClick={() => setCancelModalOpen(true)}>
+          {t('plans.switchTo', { plan: planName(option) })}
+        </Button>
+      );
+    }
+
+    const upgrade = option.price > currentPlan.price;
+    return (
+      <Button
+        variant={upgrade && (!wantedPlan || wantedPlan.id === option.id) ? 'primary' : undefined}
+        loading={subscribing === option.id}
+        disabled={Boolean(subscribing) && subscribing !== option.id}
+        onClick={() => handleSubscribe(option)}
+      >
+        {upgrade
+          ? t('plans.upgradeTo', { plan: planName(option) })
+          : t('plans.switchTo', { plan: planName(option) })}
+      </Button>
+    );
+  };
+
+  return (
+    <Page
+      title={t('plans.title')}
+      subtitle={t('plans.subtitle')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+    >
+      <BlockStack gap="500">
+        {(error || planError) && (
+          <Banner tone="critical" onDismiss={error ? () => setError('') : undefined}>
+            {error || planError}
+          </Banner>
+        )}
+
+        {notice && (
+          <Banner tone={notice.tone} onDismiss={() => setNotice(null)}>
+            {notice.message}
+          </Banner>
+        )}
+
+        {wantedPlan && wantedPlan.price > currentPlan.price && (
+          <Banner tone="info">
+            {t('plans.upgrade.message', { feature: featureName(wantedFeature), plan: planName(wantedPlan) })}
+          </Banner>
+        )}
+
+        <InlineGrid columns={{ xs: 1, md: PLANS.length }} gap="400">
+          {PLANS.map((option, index) => (
+            <Card key={option.id}>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    {planName(option)}
+                  </Text>
+                  {option.id === currentPlan.id && <Badge tone="success">{t('plans.currentBadge')}</Badge>}
+                </InlineStack>
+
+                <BlockStack gap="100">
+                  <Text as="p" variant="headingLg">
+                    {formatPrice(option)}
+                  </Text>
+                  {option.trialDays > 0 && option.price > currentPlan.price && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {t('plans.trial', { count: option.trialDays })}
+                    </Text>
+                  )}
+                </BlockStack>
+
+                <BlockStack gap="200">
+                  {index > 0 && (
+                    <Text as="p" variant="bodyMd">
+                      {t('plans.everythingIn', { plan: planName(PLANS[index - 1]) })}
+                    </Text>
+                  )}
+                  <List type="bullet">
+                    {option.features.map((feature) => (
+                      <List.Item key={feature}>{featureName(feature)}</List.Item>
+                    ))}
+                  </List>
+                </BlockStack>
+
+                <InlineStack>{renderAction(option)}</InlineStack>
+              </BlockStack>
+            </Card>
+          ))}
+        </InlineGrid>
+
+        <Text as="p" variant="bodySm" tone="subdued">
+          {t('plans.billingNote')}
+        </Text>
+      </BlockStack>
+
+      <Modal
+        open={cancelModalOpen}
+        onClose={() => setCancelModalOpen(false)}
+        title={t('plans.downgradeTitle')}
+        primaryAction={{
+          content: t('plans.switchTo', { plan: planName(PLANS[0]) }),
+          destructive: true,
+          loading: cancelling,
+          onAction: handleCancel,
+        }}
+        secondaryActions={[{
+          content: t('plans.keep', { plan: planName(currentPlan) }),
+          onAction: () => setCancelModalOpen(false),
+        }]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            {t('plans.downgradeMessage', { plan: planName(currentPlan) })}
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
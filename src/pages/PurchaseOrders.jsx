@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import {
+  Page,
+  Card,
+  Text,
+  Banner,
+  BlockStack,
+  EmptyState,
+  Spinner,
+  Toast,
+  Modal
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import { exportPurchaseOrderCsv, exportPurchaseOrderPdf } from '../services/reportExport';
+import PurchaseOrderCard from '../components/PurchaseOrderCard';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('PurchaseOrders');
+
+export default function PurchaseOrders() {
+  const navigate = useAppNavigate();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [store, setStore] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [savingId, setSavingId] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+
+  useEffect(() => {
+    fetchOrders();
+  }, []);
+
+  const fetchOrders = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [storeRes, ordersRes] = await Promise.all([
+        apiService.getStore(),
+        apiService.getPurchaseOrders(),
+      ]);
+      setStore(storeRes.store);
+      setOrders(ordersRes.purchase_orders);
+    } catch (err) {
+      log.error('Purchase orders error', err);
+      setError(err.response?.data?.error || t('purchaseOrders.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (order) => {
+    setSavingId(order.id);
+    setError('');
+
+    try {
+      const orderRes = await apiService.updatePurchaseOrder(order.id, order);
+      const saved = orderRes.purchase_order || order;
+      setOrders((current) => current.map((o) => (o.id === saved.id ? saved : o)));
+      setToastMessage(t('purchaseOrders.saved'));
+    } catch (err) {
+      log.error('Purchase order save error', err);
+      setError(err.response?.data?.error || t('purchaseOrders.saveError'));
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    const order = pendingDelete;
+    setDeleting(true);
+    setError('');
+
+    try {
+      await apiService.deletePurchaseOrder(order.id);
+      setOrders((current) => current.filter((o) => o.id !== order.id));
+      setToastMessage(t('purchaseOrders.deleted'));
+    } catch (err) {
+      log.error('Purchase order delete error', err);
+      setError(err.response?.data?.error || t('purchaseOrders.deleteError'));
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
+  const handleExport = async (order, format) => {
+    const options = { storeName: store?.name, generatedAt: new Date() };
+
+    try {
+      if (format === 'pdf') {
+        await exportPurchaseOrderPdf(order, options);
+      } else {
+        exportPurchaseOrderCsv(order, options);
+      }
+    } catch (err) {
+      log.error('Purchase order export error', err);
+      setError(t('purchaseOrders.exportError'));
+    }
+  };
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  if (loading) {
+    return (
+      <Page title={t('purchaseOrders.title')}>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+              {t('purchaseOrders.loading')}
+            </Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title={t('purchaseOrders.title')}
+      subtitle={t('purchaseOrders.subtitle')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        {orders.length === 0 ? (
+          <Card>
+            <EmptyState
+              heading={t('purchaseOrders.emptyTitle')}
+              action={{ content: t('notFound.action'), onAction: handleBackClick }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>{t('purchaseOrders.emptyMessage', { action: t('dashboard.createPurchaseOrders') })}</p>
+            </EmptyState>
+          </Card>
+        ) : (
+          orders.map((order) => (
+            <PurchaseOrderCard
+              key={order.id}
+              order={order}
+              saving={savingId === order.id}
+              onSave={handleSave}
+              onDelete={setPendingDelete}
+              onExport={handleExport}
+            />
+          ))
+        )}
+      </BlockStack>
+
+      <Modal
+        open={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        title={t('purchaseOrders.deleteTitle')}
+        primaryAction={{
+          content: t('purchaseOrders.deleteDraft'),
+          destructive: true,
+          loading: deleting,
+          onAction: handleDelete,
+        }}
+        secondaryActions={[{
+          content: t('purchaseOrders.keepDraft'),
+          onAction: () => setPendingDelete(null),
+        }]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            {t('purchaseOrders.deleteMessage', {
+              supplier: pendingDelete?.supplier_name || pendingDelete?.vendor,
+            })}
+          </Text>
+        </Modal.Section>
+      </Modal>
+
+      {toastMessage && (
+        <Toast content={toastMessage} onDismiss={() => setToastMessage('')} />
+      )}
+    </Page>
+  );
+}
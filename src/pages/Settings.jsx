@@ -0,0 +1,482 @@
+import { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Banner,
+  Text,
+  Checkbox,
+  BlockStack,
+  Spinner,
+  ContextualSaveBar,
+  Toast,
+  Modal
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import ThresholdOverrides from '../components/ThresholdOverrides';
+import NotificationChannels from '../components/NotificationChannels';
+import AlertScheduleFields from '../components/AlertScheduleFields';
+import RecipientsEditor from '../components/RecipientsEditor';
+import LocationSettings from '../components/LocationSettings';
+import FeatureGate from '../components/FeatureGate';
+import ReorderSettings from '../components/ReorderSettings';
+import { getDefaultSchedule, normalizeSchedule, describeSchedule } from '../services/alertSchedule';
+import { normalizeRecipients, validateRecipients, toRecipientSettings } from '../services/recipients';
+import { normalizeReorderSettings } from '../services/reorder';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+import { useAppNavigate, setNavigationGuard } from '../services/navigation';
+
+const log = createLogger('Settings');
+
+const REORDER_DAY_FIELDS = ['default_lead_time_days', 'safety_stock_days', 'review_period_days'];
+const VENDOR_TERM_FIELDS = ['lead_time_days', 'min_order_quantity'];
+
+const isWholeNumber = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+// Blank vendor terms fall back to the store defaults, so blanks travel as null
+const toFieldValue = (value) => (value === null || value === undefined ? '' : String(value));
+const toApiValue = (value) => (value === '' || value === null ? null : Number(value));
+
+// Reorder settings with every number as a string, or back again for the API
+const mapReorderNumbers = (reorder, convert) => ({
+  ...reorder,
+  ...Object.fromEntries(REORDER_DAY_FIELDS.map((field) => [field, convert(reorder[field])])),
+  vendor_terms: reorder.vendor_terms.map((terms) => ({
+    vendor: (terms.vendor || '').trim(),
+    lead_time_days: convert(terms.lead_time_days),
+    min_order_quantity: convert(terms.min_order_quantity),
+  })),
+});
+
+const DEFAULT_SETTINGS = {
+  threshold: '10',
+  cover_alert_enabled: false,
+  cover_alert_days: '14',
+  recipients: [],
+  schedule: getDefaultSchedule(),
+  threshold_overrides: [],
+  notification_channels: [],
+  alert_location_ids: [],
+  location_thresholds: {},
+  reorder: mapReorderNumbers(normalizeReorderSettings(), toFieldValue),
+};
+
+// The API returns numbers, but Polaris text fields work with strings
+const toFormValues = (settings = {}) => ({
+  threshold: String(settings.threshold ?? DEFAULT_SETTINGS.threshold),
+  cover_alert_enabled: !!settings.cover_alert_enabled,
+  cover_alert_days: String(settings.cover_alert_days ?? DEFAULT_SETTINGS.cover_alert_days),
+  recipients: normalizeRecipients(settings),
+  schedule: normalizeSchedule(settings.schedule, settings),
+  threshold_overrides: (settings.threshold_overrides || []).map((override) => ({
+    ...override,
+    threshold: toFieldValue(override.threshold),
+  })),
+  notification_channels: settings.notification_channels || [],
+  alert_location_ids: (settings.alert_location_ids || []).map(String),
+  location_thresholds: Object.fromEntries(
+    Object.entries(settings.location_thresholds || {}).map(([id, value]) => [id, toFieldValue(value)])
+  ),
+  reorder: mapReorderNumbers(normalizeReorderSettings(settings.reorder), toFieldValue),
+});
+
+export default function Settings() {
+  const navigate = useAppNavigate();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [savedValues, setSavedValues] = useState(DEFAULT_SETTINGS);
+  const [formData, setFormData] = useState(DEFAULT_SETTINGS);
+  const [toastMessage, setToastMessage] = useState('');
+  // Where the merchant was going when they were asked about unsaved changes
+  const [pendingNavigation, setPendingNavigation] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [locationsUnavailable, setLocationsUnavailable] = useState(false);
+
+  const isDirty = JSON.stringify(formData) !== JSON.stringify(savedValues);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  // Warn before closing the tab or reloading with unsaved changes
+  useEffect(() => {
+    if (!isDirty) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  // The sidebar and the admin's navigation ask first too
+  useEffect(() => {
+    if (!isDirty) return undefined;
+    return setNavigationGuard((proceed) => setPendingNavigation(() => proceed));
+  }, [isDirty]);
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      // Without locations only the location section is lost; the saved
+      // location settings stay in the form and go back unchanged on save
+      const [settingsResult, locationsResult] = await Promise.allSettled([
+        apiService.getSettings(),
+        apiService.getLocations(),
+      ]);
+      if (settingsResult.status === 'rejected') throw settingsResult.reason;
+
+      const values = toFormValues(settingsResult.value.settings);
+      setSavedValues(values);
+      setFormData(values);
+      if (locationsResult.status === 'fulfilled') {
+        setLocations(locationsResult.value.locations);
+        setLocationsUnavailable(false);
+      } else {
+        log.warn('Settings loaded without locations', locationsResult.reason);
+        setLocationsUnavailable(true);
+      }
+    } catch (err) {
+      log.error('Settings error', err);
+      setError(err.response?.data?.error || t('settings.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field) => (value) => {
+    setFormData({ ...formData, [field]: value });
+    setFieldErrors({ ...fieldErrors, [field]: undefined });
+  };
+
+  const validate = () => {
+    const errors = {};
+    if (!formData.threshold || Number(formData.threshold) < 1) {
+      errors.threshold = t('settings.invalidThreshold');
+    }
+    if (formData.cover_alert_enabled && !(Number(formData.cover_alert_days) >= 1)) {
+      errors.cover_alert_days = t('settings.invalidCoverDays');
+    }
+    if (formData.recipients.length === 0) {
+      errors.recipients_empty = t('settings.recipientsEmpty');
+    }
+    const recipientErrors = validateRecipients(formData.recipients);
+    if (Object.keys(recipientErrors).length) errors.recipients = recipientErrors;
+
+    const { quiet_hours: quietHours } = formData.schedule;
+    if (quietHours.enabled && quietHours.start === quietHours.end) {
+      errors.schedule = t('setup.invalidQuietHours');
+    }
+
+    const overrideErrors = {};
+    formData.threshold_overrides.forEach((override, index) => {
+      const rowErrors = {};
+      if (!String(override.value).trim()) {
+        rowErrors.value = t('settings.overrideValueRequired');
+      }
+      if (override.threshold === '' || Number(override.threshold) < 0) {
+        rowErrors.threshold = t('settings.minimumZero');
+      }
+      if (Object.keys(rowErrors).length) overrideErrors[index] = rowErrors;
+    });
+    if (Object.keys(overrideErrors).length) errors.threshold_overrides = overrideErrors;
+
+    const locationErrors = {};
+    Object.entries(formData.location_thresholds).forEach(([id, value]) => {
+      if (Number(value) < 0) locationErrors[id] = t('settings.minimumZero');
+    });
+    if (Object.keys(locationErrors).length) errors.location_thresholds = locationErrors;
+
+    const reorderErrors = {};
+    REORDER_DAY_FIELDS.forEach((field) => {
+      if (formData.reorder[field] === '' || Number(formData.reorder[field]) < 0) {
+        reorderErrors[field] = t('settings.minimumZero');
+      }
+    });
+    const termsErrors = {};
+    formData.reorder.vendor_terms.forEach((terms, index) => {
+      const rowErrors = {};
+      if (!terms.vendor.trim()) rowErrors.vendor = t('settings.vendorRequired');
+      VENDOR_TERM_FIELDS.forEach((field) => {
+        if (terms[field] !== '' && !isWholeNumber(terms[field])) {
+          rowErrors[field] = t('settings.wholeNumber');
+        }
+      });
+      if (Object.keys(rowErrors).length) termsErrors[index] = rowErrors;
+    });
+    if (Object.keys(termsErrors).length) reorderErrors.vendor_terms = termsErrors;
+    if (Object.keys(reorderErrors).length) errors.reorder = reorderErrors;
+
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validate()) return;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const settingsRes = await apiService.updateSettings({
+        ...formData,
+        ...toRecipientSettings(formData.recipients),
+        threshold: Number(formData.threshold),
+        cover_alert_days: Number(formData.cover_alert_days),
+        threshold_overrides: formData.threshold_overrides.map((override) => ({
+          ...override,
+          threshold: Number(override.threshold),
+        })),
+        location_thresholds: Object.fromEntries(
+          Object.entries(formData.location_thresholds).map(([id, value]) => [id, toApiValue(value)])
+        ),
+        reorder: mapReorderNumbers(formData.reorder, toApiValue),
+      });
+      const values = toFormValues(settingsRes.settings || formData);
+      setSavedValues(values);
+      setFormData(values);
+      setToastMessage(t('settings.saved'));
+    } catch (err) {
+      log.error('Settings save error', err);
+      setError(err.response?.data?.error || t('settings.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    setFormData(savedValues);
+    setFieldErrors({});
+  };
+
+  const goToDashboard = () => {
+    navigate('/dashboard');
+  };
+
+  const handleBackClick = () => {
+    if (isDirty) {
+      setPendingNavigation(() => goToDashboard);
+      return;
+    }
+    goToDashboard();
+  };
+
+  const handleLeave = () => {
+    setPendingNavigation(null);
+    pendingNavigation();
+  };
+
+  if (loading) {
+    return (
+      <Page title={t('settings.title')}>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+              {t('settings.loading')}
+            </Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title={t('settings.title')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      primaryAction={{
+        content: t('settings.save'),
+        loading: saving,
+        disabled: !isDirty,
+        onAction: handleSave,
+      }}
+    >
+      {isDirty && (
+        <ContextualSaveBar
+          message={t('settings.unsavedChanges')}
+          saveAction={{ onAction: handleSave, loading: saving }}
+          discardAction={{ onAction: handleDiscard }}
+        />
+      )}
+
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.AnnotatedSection
+            title={t('settings.thresholdTitle')}
+            description={t('settings.thresholdDescription')}
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  type="number"
+                  label={t('setup.thresholdLabel')}
+                  value={formData.threshold}
+                  onChange={handleChange('threshold')}
+                  error={fieldErrors.threshold}
+                  autoComplete="off"
+                  min={1}
+                />
+                <Checkbox
+                  label={t('settings.coverAlert')}
+                  helpText={t('settings.coverAlertHelp')}
+                  checked={formData.cover_alert_enabled}
+                  onChange={handleChange('cover_alert_enabled')}
+                />
+                {formData.cover_alert_enabled && (
+                  <TextField
+                    type="number"
+                    label={t('settings.coverAlertDays')}
+                    suffix={t('settings.coverAlertSuffix')}
+                    value={formData.cover_alert_days}
+                    onChange={handleChange('cover_alert_days')}
+                    error={fieldErrors.cover_alert_days}
+                    autoComplete="off"
+                    min={1}
+                  />
+                )}
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.overridesTitle')}
+            description={t('settings.overridesDescription')}
+          >
+            <Card>
+              <ThresholdOverrides
+                overrides={formData.threshold_overrides}
+                onChange={handleChange('threshold_overrides')}
+                errors={fieldErrors.threshold_overrides}
+              />
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.locationsTitle')}
+            description={t('settings.locationsDescription')}
+          >
+            <Card>
+              {locationsUnavailable ? (
+                <Banner tone="warning">{t('settings.locationsUnavailable')}</Banner>
+              ) : (
+                <LocationSettings
+                  locations={locations}
+                  countedIds={formData.alert_location_ids}
+                  thresholds={formData.location_thresholds}
+                  onCountedChange={handleChange('alert_location_ids')}
+                  onThresholdsChange={handleChange('location_thresholds')}
+                  errors={fieldErrors.location_thresholds}
+                />
+              )}
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.reorderTitle')}
+            description={t('settings.reorderDescription')}
+          >
+            <Card>
+              <ReorderSettings
+                settings={formData.reorder}
+                onChange={handleChange('reorder')}
+                errors={fieldErrors.reorder}
+              />
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.recipientsTitle')}
+            description={t('settings.recipientsDescription')}
+          >
+            <Card>
+              <BlockStack gap="300">
+                {fieldErrors.recipients_empty && (
+                  <Banner tone="critical">{fieldErrors.recipients_empty}</Banner>
+                )}
+                <RecipientsEditor
+                  recipients={formData.recipients}
+                  onChange={handleChange('recipients')}
+                  errors={fieldErrors.recipients}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.scheduleTitle')}
+            description={t('settings.currentSchedule', { schedule: describeSchedule(savedValues.schedule) })}
+          >
+            <Card>
+              <BlockStack gap="300">
+                {fieldErrors.schedule && (
+                  <Banner tone="critical">{fieldErrors.schedule}</Banner>
+                )}
+                <AlertScheduleFields
+                  schedule={formData.schedule}
+                  onChange={handleChange('schedule')}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t('settings.channelsTitle')}
+            description={t('settings.channelsDescription')}
+          >
+            <FeatureGate feature="notificationChannels">
+              <Card>
+                <NotificationChannels
+                  channels={formData.notification_channels}
+                  onChange={handleChange('notification_channels')}
+                />
+              </Card>
+            </FeatureGate>
+          </Layout.AnnotatedSection>
+        </Layout>
+      </BlockStack>
+
+      <Modal
+        open={Boolean(pendingNavigation)}
+        onClose={() => setPendingNavigation(null)}
+        title={t('settings.leaveTitle')}
+        primaryAction={{
+          content: t('settings.leave'),
+          destructive: true,
+          onAction: handleLeave,
+        }}
+        secondaryActions={[
+          {
+            content: t('settings.stay'),
+            onAction: () => setPendingNavigation(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            {t('settings.leaveMessage')}
+          </Text>
+        </Modal.Section>
+      </Modal>
+
+      {toastMessage && (
+        <Toast content={toastMessage} onDismiss={() => setToastMessage('')} />
+      )}
+    </Page>
+  );
+}
@@ -1,5 +1,4 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
 import {
   Page,
   Card,
@@ -12,73 +11,168 @@ import {
   BlockStack,
   InlineStack
 } from '@shopify/polaris';
-import { apiService } from '../services/api';
+import { apiService, ShopifyAppConfig } from '../services/api';
+import AlertScheduleFields from '../components/AlertScheduleFields';
+import RecipientsEditor from '../components/RecipientsEditor';
+import { describeSchedule, describeQuietHours } from '../services/alertSchedule';
+import { toRecipientSettings } from '../services/recipients';
+import { getDeliveryStatus, isFinalStatus } from '../services/alertHistory';
+import {
+  SETUP_STEPS,
+  loadProgress,
+  saveProgress,
+  clearProgress,
+  validateSetupStep
+} from '../services/setupProgress';
+import { createLogger } from '../services/logger';
+import { t } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('SetupWizard');
+
+const TEST_POLL_INTERVAL = 3000;
+const TEST_POLL_ATTEMPTS = 20;
+
+// Statuses with a message of their own; the rest get a generic one
+const TEST_STATUS_MESSAGES = ['delivered', 'partial', 'failed', 'pending'];
+
+const toTestResult = (alert) => ({ id: alert.id, status: alert.status, error: alert.error || null });
+
+const testStatusMessage = (status) =>
+  t(`setup.testStatus.${TEST_STATUS_MESSAGES.includes(status) ? status : 'other'}`);
 
 export default function SetupWizard() {
-  const navigate = useNavigate();
-  const [step, setStep] = useState(1);
+  const navigate = useAppNavigate();
+  const shop = ShopifyAppConfig.getShopDomain();
+  const [saved] = useState(() => loadProgress(shop));
+  const [step, setStep] = useState(saved.step);
+  const [formData, setFormData] = useState(saved.formData);
+  const [testAlert, setTestAlert] = useState(saved.testAlert);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [sendingTest, setSendingTest] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  
-  const [formData, setFormData] = useState({
-    threshold: '10',
-    notify_email: '',
-  });
 
-  const progress = (step / 3) * 100;
+  // Saved on every change so a reload, or coming back tomorrow, picks up here
+  useEffect(() => {
+    saveProgress(shop, { step, formData, testAlert });
+  }, [shop, step, formData, testAlert]);
+
+  // The test endpoint answers once the alert is queued, usually before it has
+  // been delivered, so keep checking until it reaches a final status
+  useEffect(() => {
+    if (!testAlert?.id || isFinalStatus(testAlert.status)) return undefined;
+
+    let cancelled = false;
+    let attempts = 0;
+    let timer;
+
+    const checkStatus = async () => {
+      attempts += 1;
+      try {
+        const alertRes = await apiService.getAlert(testAlert.id);
+        if (cancelled) return;
+        // A new status restarts this effect with fresh attempts
+        if (alertRes.alert.status !== testAlert.status) {
+          setTestAlert(toTestResult(alertRes.alert));
+          return;
+        }
+      } catch (err) {
+        log.warn('Test alert status error', err);
+      }
+      if (!cancelled && attempts < TEST_POLL_ATTEMPTS) {
+        timer = setTimeout(checkStatus, TEST_POLL_INTERVAL);
+      }
+    };
+
+    timer = setTimeout(checkStatus, TEST_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [testAlert?.id, testAlert?.status]);
+
+  const progress = (step / SETUP_STEPS.length) * 100;
+  const recipientEmails = formData.recipients.map((recipient) => recipient.email.trim()).join(', ');
 
   const handleThresholdChange = (value) => {
     setFormData({ ...formData, threshold: value });
+    setFieldErrors({ ...fieldErrors, threshold: undefined });
+  };
+
+  // A test sent to the old addresses says nothing about the new ones
+  const handleRecipientsChange = (value) => {
+    setFormData({ ...formData, recipients: value });
+    setFieldErrors({ ...fieldErrors, recipients: undefined });
+    setTestAlert(null);
   };
 
-  const handleEmailChange = (value) => {
-    setFormData({ ...formData, notify_email: value });
+  const handleScheduleChange = (value) => {
+    setFormData({ ...formData, schedule: value });
+    setFieldErrors({ ...fieldErrors, schedule: undefined });
   };
 
   const handleNext = () => {
-    if (step === 1 && (!formData.threshold || formData.threshold < 1)) {
-      setError('Please enter a valid threshold (minimum 1)');
-      return;
-    }
-    if (step === 2 && !formData.notify_email.includes('@')) {
-      setError('Please enter a valid email address');
-      return;
-    }
+    const errors = validateSetupStep(step, formData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
     setError('');
     setStep(step + 1);
   };
 
   const handleBack = () => {
     setError('');
+    setFieldErrors({});
     setStep(step - 1);
   };
 
+  const handleSendTest = async () => {
+    setSendingTest(true);
+    setError('');
+
+    try {
+      const testRes = await apiService.sendTestAlert({
+        threshold: Number(formData.threshold),
+        ...toRecipientSettings(formData.recipients),
+      });
+      setTestAlert(toTestResult(testRes.alert));
+    } catch (err) {
+      log.error('Test alert error', err);
+      setTestAlert({ status: 'failed', error: err.response?.data?.error || null });
+    } finally {
+      setSendingTest(false);
+    }
+  };
+
   const handleFinish = async () => {
     setLoading(true);
     setError('');
 
     try {
       // No store_id needed - authenticated via session token
-      await apiService.saveSetup(formData);
-      
-      // Redirect to dashboard with shop and host parameters
-      const params = new URLSearchParams(window.location.search);
-      console.log('Redirecting to dashboard with params:', params.toString());
-      navigate(`/dashboard?${params.toString()}`);
+      await apiService.saveSetup({
+        ...formData,
+        ...toRecipientSettings(formData.recipients),
+      });
+      clearProgress(shop);
+
+      // The state tells SetupGate not to send us back here before it has seen the saved store
+      navigate('/dashboard', { state: { setupCompleted: true } });
     } catch (err) {
-      console.error('Setup error:', err);
-      setError(err.response?.data?.error || 'Setup failed. Please try again.');
+      log.error('Setup error', err);
+      setError(err.response?.data?.error || t('setup.saveError'));
       setLoading(false);
     }
   };
 
   return (
-    <Page title="Welcome to Low Stock Alert! 🎉">
+    <Page title={t('setup.title')}>
       <BlockStack gap="500">
         <Card>
           <BlockStack gap="400">
             <Text as="p" variant="bodyMd">
-              Let's get you set up in 3 simple steps
+              {t('setup.intro', { count: SETUP_STEPS.length })}
             </Text>
             <ProgressBar progress={progress} size="small" />
           </BlockStack>
@@ -95,25 +189,26 @@ export default function SetupWizard() {
           <Card>
             <BlockStack gap="400">
               <Text as="h2" variant="headingMd">
-                Step 1: Set Your Low Stock Threshold
+                {t('setup.thresholdTitle')}
               </Text>
               <Text as="p" variant="bodyMd" tone="subdued">
-                We'll notify you when products fall below this quantity
+                {t('setup.thresholdIntro')}
               </Text>
               <FormLayout>
                 <TextField
                   type="number"
-                  label="Threshold (units)"
+                  label={t('setup.thresholdLabel')}
                   value={formData.threshold}
                   onChange={handleThresholdChange}
+                  error={fieldErrors.threshold}
                   autoComplete="off"
-                  helpText="Products with inventory at or below this number will trigger alerts"
+                  helpText={t('setup.thresholdHelp')}
                   min={1}
                 />
               </FormLayout>
               <InlineStack align="end">
                 <Button primary onClick={handleNext}>
-                  Next
+                  {t('common.next')}
                 </Button>
               </InlineStack>
             </BlockStack>
@@ -125,63 +220,111 @@ export default function SetupWizard() {
           <Card>
             <BlockStack gap="400">
               <Text as="h2" variant="headingMd">
-                Step 2: Email Notifications
+                {t('setup.notificationsTitle')}
               </Text>
               <Text as="p" variant="bodyMd" tone="subdued">
-                Where should we send your daily low stock alerts?
+                {t('setup.notificationsIntro')}
               </Text>
-              <FormLayout>
-                <TextField
-                  type="email"
-                  label="Notification Email"
-                  value={formData.notify_email}
-                  onChange={handleEmailChange}
-                  autoComplete="email"
-                  helpText="You'll receive a daily email summary at 9 AM"
-                />
-              </FormLayout>
+              <RecipientsEditor
+                recipients={formData.recipients}
+                onChange={handleRecipientsChange}
+                errors={fieldErrors.recipients}
+              />
+              <AlertScheduleFields
+                schedule={formData.schedule}
+                onChange={handleScheduleChange}
+                errors={fieldErrors.schedule}
+              />
               <InlineStack align="space-between">
-                <Button onClick={handleBack}>Back</Button>
+                <Button onClick={handleBack}>{t('common.back')}</Button>
                 <Button primary onClick={handleNext}>
-                  Next
+                  {t('common.next')}
                 </Button>
               </InlineStack>
             </BlockStack>
           </Card>
         )}
 
-        {/* Step 3: Finish */}
+        {/* Step 3: Test Alert */}
         {step === 3 && (
           <Card>
             <BlockStack gap="400">
               <Text as="h2" variant="headingMd">
-                Step 3: You're All Set! ✅
+                {t('setup.testTitle')}
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {t('setup.testIntro', { recipients: recipientEmails })}
+              </Text>
+
+              {testAlert && (
+                <Banner tone={getDeliveryStatus(testAlert.status).tone}>
+                  <BlockStack gap="100">
+                    <Text as="p" variant="bodyMd">
+                      {testStatusMessage(testAlert.status)}
+                    </Text>
+                    {testAlert.error && (
+                      <Text as="p" variant="bodyMd">
+                        {testAlert.error}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Banner>
+              )}
+
+              <InlineStack>
+                <Button loading={sendingTest} onClick={handleSendTest}>
+                  {testAlert ? t('setup.resendTest') : t('setup.sendTest')}
+                </Button>
+              </InlineStack>
+
+              {/* A failed test doesn't block setup, but the merchant has to have seen the result */}
+              <InlineStack align="space-between">
+                <Button onClick={handleBack}>{t('common.back')}</Button>
+                <Button primary disabled={!testAlert || sendingTest} onClick={handleNext}>
+                  {t('common.next')}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        )}
+
+        {/* Step 4: Finish */}
+        {step === 4 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                {t('setup.finishTitle')}
               </Text>
               <Text as="p" variant="bodyMd">
-                Here's what will happen next:
+                {t('setup.finishIntro')}
               </Text>
               <BlockStack gap="200">
                 <Text as="p" variant="bodyMd">
-                  📊 We'll check your inventory daily at 8 AM
+                  {t('setup.emailSummary', {
+                    recipients: recipientEmails,
+                    schedule: describeSchedule(formData.schedule),
+                  })}
                 </Text>
+                {describeQuietHours(formData.schedule) && (
+                  <Text as="p" variant="bodyMd">
+                    {t('setup.quietHoursSummary', { quietHours: describeQuietHours(formData.schedule) })}
+                  </Text>
+                )}
                 <Text as="p" variant="bodyMd">
-                  📧 You'll get a daily email at 9 AM with low stock items
-                </Text>
-                <Text as="p" variant="bodyMd">
-                  💡 View real-time data anytime on your dashboard
+                  {t('setup.dashboardSummary')}
                 </Text>
               </BlockStack>
-              
+
               <Banner status="info">
                 <Text as="p" variant="bodyMd">
-                  <strong>Coming Soon:</strong> Slack notifications, SMS alerts, and inventory forecasting!
+                  <strong>{t('setup.tipLabel')}</strong> {t('setup.channelsTip')}
                 </Text>
               </Banner>
 
               <InlineStack align="space-between">
-                <Button onClick={handleBack}>Back</Button>
+                <Button onClick={handleBack}>{t('common.back')}</Button>
                 <Button primary loading={loading} onClick={handleFinish}>
-                  Go to Dashboard
+                  {t('setup.goToDashboard')}
                 </Button>
               </InlineStack>
             </BlockStack>
@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react';
+import {
+  Page,
+  Card,
+  Text,
+  Banner,
+  BlockStack,
+  InlineStack,
+  EmptyState,
+  ResourceList,
+  ResourceItem,
+  Button,
+  Modal,
+  Spinner,
+  Toast
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import { createSupplier } from '../services/suppliers';
+import SupplierModal from '../components/SupplierModal';
+import { createLogger } from '../services/logger';
+import { t, formatList } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('Suppliers');
+
+const toFormValues = (supplier) => ({
+  ...createSupplier(),
+  ...supplier,
+  lead_time_days: supplier.lead_time_days ?? '',
+  vendors: supplier.vendors || [],
+  products: supplier.products || [],
+});
+
+export default function Suppliers() {
+  const navigate = useAppNavigate();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [suppliers, setSuppliers] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [deleting, setDeleting] = useState(null);
+  const [toastMessage, setToastMessage] = useState('');
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, []);
+
+  const fetchSuppliers = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const suppliersRes = await apiService.getSuppliers();
+      setSuppliers(suppliersRes.suppliers);
+    } catch (err) {
+      log.error('Suppliers error', err);
+      setError(err.response?.data?.error || t('suppliers.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (supplier) => {
+    setSaveError('');
+    setEditing(supplier);
+  };
+
+  const handleSave = async (supplier) => {
+    setSaving(true);
+    setSaveError('');
+
+    try {
+      if (supplier.id) {
+        const supplierRes = await apiService.updateSupplier(supplier.id, supplier);
+        const saved = supplierRes.supplier || supplier;
+        setSuppliers((current) => current.map((s) => (s.id === saved.id ? saved : s)));
+      } else {
+        const supplierRes = await apiService.createSupplier(supplier);
+        setSuppliers((current) => [...current, supplierRes.supplier]);
+      }
+      setEditing(null);
+      setToastMessage(t('suppliers.saved'));
+    } catch (err) {
+      // The modal stays open so nothing typed is lost
+      log.error('Supplier save error', err);
+      setSaveError(err.response?.data?.error || t('suppliers.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const supplier = deleting;
+    setDeleting(null);
+    setError('');
+
+    try {
+      await apiService.deleteSupplier(supplier.id);
+      setSuppliers((current) => current.filter((s) => s.id !== supplier.id));
+      setToastMessage(t('suppliers.deleted'));
+    } catch (err) {
+      log.error('Supplier delete error', err);
+      setError(err.response?.data?.error || t('suppliers.deleteError'));
+    }
+  };
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  const describeLinks = (supplier) => {
+    const parts = [];
+    if (supplier.vendors?.length) parts.push(t('suppliers.vendorsList', { vendors: formatList(supplier.vendors) }));
+    if (supplier.products?.length) {
+      parts.push(t('dashboard.productCount', { count: supplier.products.length }));
+    }
+    return parts.length ? parts.join(' · ') : t('suppliers.noLinks');
+  };
+
+  if (loading) {
+    return (
+      <Page title={t('suppliers.title')}>
+        <Card>
+          <div style={{ padding: '60px', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+              {t('suppliers.loading')}
+            </Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title={t('suppliers.title')}
+      subtitle={t('suppliers.subtitle')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      primaryAction={{ content: t('suppliers.add'), onAction: () => openEditor(createSupplier()) }}
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        <Card padding="0">
+          {suppliers.length === 0 ? (
+            <EmptyState
+              heading={t('suppliers.emptyTitle')}
+              action={{ content: t('suppliers.add'), onAction: () => openEditor(createSupplier()) }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>{t('suppliers.emptyMessage')}</p>
+            </EmptyState>
+          ) : (
+            <ResourceList
+              resourceName={{ singular: t('suppliers.singular'), plural: t('suppliers.plural') }}
+              items={suppliers}
+              renderItem={(supplier) => (
+                <ResourceItem
+                  id={String(supplier.id)}
+                  onClick={() => openEditor(toFormValues(supplier))}
+                  accessibilityLabel={t('suppliers.editTitle', { name: supplier.name })}
+                >
+                  <InlineStack align="space-between" blockAlign="center" wrap={false}>
+                    <BlockStack gap="100">
+                      <Text as="h3" variant="bodyMd" fontWeight="semibold">
+                        {supplier.name}
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {supplier.email}
+                        {supplier.lead_time_days != null && ` · ${t('suppliers.leadTime', { count: supplier.lead_time_days })}`}
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {describeLinks(supplier)}
+                      </Text>
+                    </BlockStack>
+                    <div onClick={(event) => event.stopPropagation()}>
+                      <Button tone="critical" variant="plain" onClick={() => setDeleting(supplier)}>
+                        {t('common.delete')}
+                      </Button>
+                    </div>
+                  </InlineStack>
+                </ResourceItem>
+              )}
+            />
+          )}
+        </Card>
+      </BlockStack>
+
+      <SupplierModal
+        supplier={editing}
+        saving={saving}
+        error={saveError}
+        onDismissError={() => setSaveError('')}
+        onClose={() => setEditing(null)}
+        onSave={handleSave}
+      />
+
+      <Modal
+        open={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        title={t('suppliers.deleteTitle', { name: deleting?.name || t('suppliers.singular') })}
+        primaryAction={{ content: t('common.delete'), destructive: true, onAction: handleDelete }}
+        secondaryActions={[{ content: t('common.cancel'), onAction: () => setDeleting(null) }]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            {t('suppliers.deleteMessage')}
+          </Text>
+        </Modal.Section>
+      </Modal>
+
+      {toastMessage && (
+        <Toast content={toastMessage} onDismiss={() => setToastMessage('')} />
+      )}
+    </Page>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Button,
+  ButtonGroup,
+  Banner,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  EmptyState,
+  Spinner,
+  Badge
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import TrendChart from '../components/TrendChart';
+import Sparkline from '../components/Sparkline';
+import { forecastItem, formatVelocity, formatDaysOfCover, formatStockoutDate } from '../services/forecast';
+import { createLogger } from '../services/logger';
+import { t, formatNumber } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('Trends');
+
+const RANGES = [7, 30, 90];
+
+const SERIES = [
+  { key: 'total_low_stock', color: '#b98900' },
+  { key: 'critically_low', color: '#d72c0d' },
+];
+
+export default function Trends() {
+  const navigate = useAppNavigate();
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [trend, setTrend] = useState([]);
+  const [products, setProducts] = useState([]);
+
+  // Only the latest range may update the page
+  useEffect(() => {
+    let ignore = false;
+    fetchTrend(days, () => ignore);
+    return () => {
+      ignore = true;
+    };
+  }, [days]);
+
+  const fetchTrend = async (range, isStale) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const trendRes = await apiService.getTrend(range);
+      if (isStale()) return;
+      setTrend(trendRes.trend);
+      setProducts(trendRes.products);
+    } catch (err) {
+      if (isStale()) return;
+      log.error('Trend error', err);
+      setError(err.response?.data?.error || t('trends.loadError'));
+    } finally {
+      if (!isStale()) setLoading(false);
+    }
+  };
+
+  const handleBackClick = () => {
+    navigate('/dashboard');
+  };
+
+  // Compare the latest point with the first one in the selected range
+  const first = trend[0] || {};
+  const latest = trend[trend.length - 1] || {};
+  const lowStockChange = (latest.total_low_stock || 0) - (first.total_low_stock || 0);
+  const criticalChange = (latest.critically_low || 0) - (first.critically_low || 0);
+
+  const changeBadge = (change) => {
+    const value = formatNumber(change, { signDisplay: 'exceptZero' });
+    if (change > 0) return <Badge tone="critical">{t('trends.worse', { change: value })}</Badge>;
+    if (change < 0) return <Badge tone="success">{t('trends.better', { change: value })}</Badge>;
+    return <Badge>{t('trends.noChange')}</Badge>;
+  };
+
+  const rows = products.map((product) => {
+    const values = (product.history || []).map((point) => point.stock_quantity);
+    const current = values.length ? values[values.length - 1] : product.stock_quantity;
+    const forecast = forecastItem(product, current ?? 0);
+    return [
+      product.product_name,
+      product.variant_name || '-',
+      product.sku || '-',
+      <Sparkline values={values} color={values[values.length - 1] < values[0] ? '#d72c0d' : '#2c6ecb'} />,
+      current !== undefined ? t('table.units', { count: current }) : '-',
+      formatVelocity(forecast.velocity),
+      formatDaysOfCover(forecast.days_of_cover),
+      formatStockoutDate(forecast.stockout_date)
+    ];
+  });
+
+  return (
+    <Page
+      title={t('trends.title')}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      primaryAction={
+        <ButtonGroup variant="segmented">
+          {RANGES.map((range) => (
+            <Button key={range} pressed={days === range} onClick={() => setDays(range)}>
+              {t('forecast.days', { count: range })}
+            </Button>
+          ))}
+        </ButtonGroup>
+      }
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        {loading ? (
+          <Card>
+            <div style={{ padding: '60px', textAlign: 'center' }}>
+              <Spinner size="large" />
+              <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+                {t('trends.loading')}
+              </Text>
+            </div>
+          </Card>
+        ) : (
+          <>
+            <Layout>
+              <Layout.Section>
+                <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+                  <Card>
+                    <BlockStack gap="200">
+                      <Text as="p" variant="bodyMd" tone="subdued">
+                        {t('dashboard.lowStockItems')}
+                      </Text>
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="h2" variant="heading2xl">
+                          {latest.total_low_stock || 0}
+                        </Text>
+                        {changeBadge(lowStockChange)}
+                      </InlineStack>
+                    </BlockStack>
+                  </Card>
+
+                  <Card>
+                    <BlockStack gap="200">
+                      <Text as="p" variant="bodyMd" tone="subdued">
+                        {t('dashboard.criticallyLow')}
+                      </Text>
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="h2" variant="heading2xl" tone="critical">
+                          {latest.critically_low || 0}
+                        </Text>
+                        {changeBadge(criticalChange)}
+                      </InlineStack>
+                    </BlockStack>
+                  </Card>
+                </InlineGrid>
+              </Layout.Section>
+            </Layout>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  {t('trends.chartTitle', { days })}
+                </Text>
+                {trend.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {t('trends.noData')}
+                  </Text>
+                ) : (
+                  <TrendChart
+                    data={trend}
+                    series={SERIES.map((s) => ({ ...s, label: t(`trends.series.${s.key}`) }))}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  {t('trends.productsTitle')}
+                </Text>
+
+                {products.length === 0 ? (
+                  <EmptyState
+                    heading={t('trends.noHistoryTitle')}
+                    image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                  >
+                    <p>{t('trends.noHistoryMessage')}</p>
+                  </EmptyState>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text', 'numeric', 'numeric', 'text', 'text']}
+                    headings={[
+                      t('table.product'),
+                      t('table.variant'),
+                      t('table.sku'),
+                      t('trends.lastDays', { days }),
+                      t('trends.current'),
+                      t('table.dailySales'),
+                      t('table.daysOfCover'),
+                      t('table.stockout')
+                    ]}
+                    rows={rows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </>
+        )}
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,354 @@
+import { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Button,
+  ButtonGroup,
+  Banner,
+  Badge,
+  BlockStack,
+  InlineGrid,
+  Spinner
+} from '@shopify/polaris';
+import { apiService } from '../services/api';
+import TrendChart from '../components/TrendChart';
+import AlertDetailModal from '../components/AlertDetailModal';
+import { assessItem } from '../services/thresholds';
+import { sameId, hasLocationLevels } from '../services/locations';
+import { formatVelocity, formatDaysOfCover, formatStockoutDate } from '../services/forecast';
+import { suggestReorderQuantity } from '../services/reorder';
+import { findSupplier } from '../services/suppliers';
+import {
+  getMovementType,
+  formatQuantityChange,
+  describeMovement,
+  summarizeMovements,
+  findThresholdCrossing
+} from '../services/stockMovements';
+import { getDeliveryStatus, getChannelLabel, formatAlertTime } from '../services/alertHistory';
+import { createLogger } from '../services/logger';
+import { t, formatNumber, formatDate, formatDateTime } from '../services/i18n';
+import { useAppNavigate } from '../services/navigation';
+
+const log = createLogger('VariantDetail');
+
+const RANGES = [7, 30, 90];
+
+export default function VariantDetail() {
+  const navigate = useAppNavigate();
+  const { variantId } = useParams();
+  const [searchParams] = useSearchParams();
+  // The location the dashboard was showing, if any
+  const locationId = searchParams.get('location') || null;
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activity, setActivity] = useState(null);
+  const [settings, setSettings] = useState({});
+  const [suppliers, setSuppliers] = useState([]);
+  const [selectedAlertId, setSelectedAlertId] = useState(null);
+
+  // Drop responses for a variant or range that is no longer shown
+  useEffect(() => {
+    let ignore = false;
+    fetchActivity(days, () => ignore);
+    return () => {
+      ignore = true;
+    };
+  }, [variantId, days]);
+
+  const fetchActivity = async (range, isStale) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [activityRes, settingsRes, suppliersRes] = await Promise.all([
+        apiService.getVariantActivity(variantId, range),
+        apiService.getSettings(),
+        // Only the reorder suggestion needs suppliers, and it can do without them
+        apiService.getSuppliers().catch((err) => {
+          log.warn('Variant loaded without suppliers', err);
+          return null;
+        })
+      ]);
+      if (isStale()) return;
+      setActivity(activityRes);
+      setSettings(settingsRes.settings);
+      if (suppliersRes) setSuppliers(suppliersRes.suppliers);
+    } catch (err) {
+      if (isStale()) return;
+      log.error('Variant activity error', err);
+      setError(err.response?.data?.error || t('variant.loadError'));
+    } finally {
+      if (!isStale()) setLoading(false);
+    }
+  };
+
+  const handleBackClick = () => {
+    navigate(locationId ? `/dashboard?${new URLSearchParams({ location: locationId })}` : '/dashboard');
+  };
+
+  if (!activity) {
+    return (
+      <Page title={t('variant.loadingTitle')} backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}>
+        {loading ? (
+          <Card>
+            <div style={{ padding: '60px', textAlign: 'center' }}>
+              <Spinner size="large" />
+              <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+                {t('variant.loading')}
+              </Text>
+            </div>
+          </Card>
+        ) : (
+          <Banner tone="critical">{error}</Banner>
+        )}
+      </Page>
+    );
+  }
+
+  const { item, history, movements, alerts } = activity;
+
+  // Worked out the same way as the Dashboard row
+  const {
+    quantity,
+    threshold,
+    locationThreshold,
+    override,
+    forecast,
+    severity
+  } = assessItem(item, settings, { locationId });
+  let thresholdSource = t('variant.thresholdStore');
+  if (locationThreshold !== null) {
+    thresholdSource = t('variant.thresholdLocation');
+  } else if (override) {
+    thresholdSource = t('variant.thresholdOverride', { scope: t(`variant.scopes.${override.scope}`) });
+  }
+
+  const reorderQuantity = suggestReorderQuantity(
+    { ...item, ...forecast, supplier: findSupplier(item, suppliers), stock_quantity: quantity, threshold },
+    settings.reorder
+  );
+
+  const crossedOn = findThresholdCrossing(history, threshold);
+  const totals = summarizeMovements(movements);
+  const chartData = history.map((point) => ({ ...point, threshold }));
+
+  const movementRows = movements.map((movement) => {
+    const type = getMovementType(movement.type);
+    return [
+      formatDateTime(movement.created_at),
+      <Badge tone={type.tone}>{type.label}</Badge>,
+      formatQuantityChange(movement.quantity),
+      describeMovement(movement)
+    ];
+  });
+
+  const alertRows = alerts.map((alert) => {
+    const status = getDeliveryStatus(alert.status);
+    const alertItem = (alert.items || []).find((entry) => sameId(entry.variant_id, item.variant_id));
+    return [
+      formatAlertTime(alert.sent_at || alert.created_at),
+      getChannelLabel(alert.channel),
+      <Badge tone={status.tone}>{status.label}</Badge>,
+      alertItem ? formatNumber(alertItem.stock_quantity) : '-',
+      <Button variant="plain" onClick={() => setSelectedAlertId(alert.id)}>
+        {t('variant.viewAlert')}
+      </Button>
+    ];
+  });
+
+  return (
+    <Page
+      title={item.product_name}
+      subtitle={[item.variant_name, item.sku].filter(Boolean).join(' · ')}
+      titleMetadata={severity === 'ok'
+        ? <Badge tone="success">{t('variant.aboveThreshold')}</Badge>
+        : <Badge tone={severity}>{t(`table.${severity}`)}</Badge>}
+      backAction={{ content: t('nav.dashboard'), onAction: handleBackClick }}
+      secondaryActions={item.shopify_admin_url ? [
+        { content: t('table.viewInShopify'), url: item.shopify_admin_url, external: true }
+      ] : []}
+      primaryAction={
+        <ButtonGroup variant="segmented">
+          {RANGES.map((range) => (
+            <Button key={range} pressed={days === range} onClick={() => setDays(range)}>
+              {t('forecast.days', { count: range })}
+            </Button>
+          ))}
+        </ButtonGroup>
+      }
+    >
+      <BlockStack gap="500">
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            {error}
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.Section>
+            <InlineGrid columns={{ xs: 1, sm: 2, md: 4 }} gap="400">
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {t('variant.inStock')}
+                  </Text>
+                  <Text as="h2" variant="heading2xl">
+                    {formatNumber(quantity)}
+                  </Text>
+                  {hasLocationLevels(item) && item.inventory_levels.map((level) => (
+                    <Text key={level.location_id} as="p" variant="bodySm" tone="subdued">
+                      {`${level.location_name}: ${formatNumber(level.available)}`}
+                    </Text>
+                  ))}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {t('variant.threshold')}
+                  </Text>
+                  <Text as="h2" variant="heading2xl">
+                    {formatNumber(threshold)}
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {thresholdSource}
+                  </Text>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {t('table.dailySales')}
+                  </Text>
+                  <Text as="h2" variant="heading2xl">
+                    {formatVelocity(forecast.velocity)}
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {t('variant.soldInRange', { count: totals.sold, days })}
+                  </Text>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    {t('table.daysOfCover')}
+                  </Text>
+                  <Text as="h2" variant="headingLg">
+                    {formatDaysOfCover(forecast.days_of_cover)}
+                  </Text>
+                  {forecast.stockout_date && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {t('variant.stockoutOn', { date: formatStockoutDate(forecast.stockout_date) })}
+                    </Text>
+                  )}
+                  {reorderQuantity > 0 && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {t('variant.suggestedReorder', { count: reorderQuantity })}
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+          </Layout.Section>
+        </Layout>
+
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingMd">
+                {t('variant.historyTitle')}
+              </Text>
+              {crossedOn && (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  {t('variant.crossedOn', { date: formatDate(crossedOn) })}
+                </Text>
+              )}
+            </BlockStack>
+            {loading ? (
+              <div style={{ padding: '60px', textAlign: 'center' }}>
+                <Spinner size="large" />
+              </div>
+            ) : (
+              <TrendChart
+                data={chartData}
+                series={[
+                  { key: 'stock_quantity', label: t('variant.stockSeries'), color: '#2c6ecb' },
+                  { key: 'threshold', label: t('variant.thresholdSeries'), color: '#b98900' },
+                ]}
+              />
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingMd">
+                {t('variant.movementsTitle')}
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {t('variant.movementsSummary', {
+                  sold: formatNumber(totals.sold),
+                  adjusted: formatQuantityChange(totals.adjusted),
+                  days,
+                })}
+              </Text>
+            </BlockStack>
+            {movementRows.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {t('variant.noMovements')}
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'numeric', 'text']}
+                headings={[
+                  t('variant.date'),
+                  t('variant.type'),
+                  t('variant.change'),
+                  t('variant.details')
+                ]}
+                rows={movementRows}
+              />
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">
+              {t('variant.alertsTitle')}
+            </Text>
+            {alertRows.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {t('variant.noAlerts')}
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'text']}
+                headings={[
+                  t('variant.sent'),
+                  t('variant.channel'),
+                  t('variant.status'),
+                  t('variant.stockAtAlert'),
+                  ''
+                ]}
+                rows={alertRows}
+              />
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+
+      <AlertDetailModal alertId={selectedAlertId} onClose={() => setSelectedAlertId(null)} />
+    </Page>
+  );
+}
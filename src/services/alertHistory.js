@@ -0,0 +1,49 @@
+// src/services/alertHistory.js
+import { CHANNEL_TYPES } from './notificationChannels';
+import { t, formatDateTime } from './i18n';
+
+const HISTORY_PAGE_SIZE = 20;
+
+const DELIVERY_STATUSES = {
+  delivered: 'success',
+  partial: 'warning',
+  failed: 'critical',
+  pending: 'info',
+  // A check that found nothing to report sends no notification
+  skipped: undefined,
+};
+
+// Statuses the backend won't move an alert on from; anything else is still being delivered
+const FINAL_STATUSES = ['delivered', 'partial', 'failed', 'skipped'];
+
+const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+function getDeliveryStatus(status) {
+  if (!(status in DELIVERY_STATUSES)) {
+    return { label: status || t('alertHistory.statuses.unknown'), tone: undefined };
+  }
+  return { label: t(`alertHistory.statuses.${status}`), tone: DELIVERY_STATUSES[status] };
+}
+
+function getChannelLabel(channel) {
+  if (!channel || channel === 'email') return t('alertHistory.email');
+  return CHANNEL_TYPES[channel]?.label || channel;
+}
+
+function describeRecipients(recipients = []) {
+  if (recipients.length === 0) return '-';
+  if (recipients.length <= 2) return recipients.join(', ');
+  return t('alertHistory.recipientsMore', { first: recipients[0], count: recipients.length - 1 });
+}
+
+const formatAlertTime = (value) => (value ? formatDateTime(value) : '-');
+
+export {
+  HISTORY_PAGE_SIZE,
+  DELIVERY_STATUSES,
+  isFinalStatus,
+  getDeliveryStatus,
+  getChannelLabel,
+  describeRecipients,
+  formatAlertTime
+};
@@ -0,0 +1,106 @@
+// src/services/alertSchedule.js
+import { t, formatDate } from './i18n';
+
+// "09:00" -> "9:00 AM", or "09:00" in locales with a 24-hour clock
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return formatDate(new Date(2000, 0, 1, hours, minutes), { hour: 'numeric', minute: '2-digit' });
+};
+
+// 2000-01-02 was a Sunday, weekday 0
+const formatWeekday = (weekday) => formatDate(new Date(2000, 0, 2 + Number(weekday)), { weekday: 'long' });
+
+// Options are built on each call so their labels follow the active locale,
+// which is only known once the catalog has loaded
+const FREQUENCIES = ['realtime', 'hourly', 'daily', 'weekly'];
+
+const getFrequencyOptions = () =>
+  FREQUENCIES.map((value) => ({ label: t(`schedule.frequencies.${value}`), value }));
+
+// Sunday first, matching the weekday values the API uses
+const getWeekdayOptions = () =>
+  Array.from({ length: 7 }, (_, index) => ({ label: formatWeekday(index), value: String(index) }));
+
+const getTimeOptions = () => Array.from({ length: 24 }, (_, hour) => {
+  const value = `${String(hour).padStart(2, '0')}:00`;
+  return { label: formatTime(value), value };
+});
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Intl.supportedValuesOf is missing from older browsers; fall back to the browser's own zone
+const TIMEZONE_OPTIONS = (Intl.supportedValuesOf?.('timeZone') || [browserTimezone()])
+  .map((zone) => ({ label: zone.replace(/_/g, ' '), value: zone }));
+
+// The shop's timezone from Shopify (store.iana_timezone), set by SetupGate once
+// the store has loaded. New schedules start in it, not in whatever zone the
+// merchant's computer happens to be in.
+let shopTimezone = null;
+
+function setShopTimezone(timezone) {
+  shopTimezone = timezone || null;
+}
+
+const getDefaultSchedule = () => ({
+  frequency: 'daily',
+  time: '09:00',
+  weekday: '1',
+  timezone: shopTimezone || browserTimezone(),
+  quiet_hours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+  },
+});
+
+// Fills in anything missing from a saved schedule; older stores only have alert_time.
+// The API sends null for stores that never saved one.
+function normalizeSchedule(savedSchedule, fallback) {
+  const schedule = savedSchedule ?? {};
+  const { alert_time: alertTime, timezone } = fallback ?? {};
+  const defaults = getDefaultSchedule();
+  return {
+    ...defaults,
+    ...(alertTime ? { time: alertTime } : {}),
+    ...(timezone ? { timezone } : {}),
+    ...schedule,
+    weekday: String(schedule.weekday ?? defaults.weekday),
+    quiet_hours: { ...defaults.quiet_hours, ...schedule.quiet_hours },
+  };
+}
+
+// "every Monday at 9:00 AM (Europe/Berlin)"
+function describeSchedule(schedule) {
+  const { frequency, time, weekday, timezone } = normalizeSchedule(schedule);
+  const zone = timezone.replace(/_/g, ' ');
+
+  switch (frequency) {
+    case 'realtime':
+      return t('schedule.realtime');
+    case 'hourly':
+      return t('schedule.hourly');
+    case 'weekly':
+      return t('schedule.weekly', { weekday: formatWeekday(weekday), time: formatTime(time), zone });
+    default:
+      return t('schedule.daily', { time: formatTime(time), zone });
+  }
+}
+
+function describeQuietHours(schedule) {
+  const { quiet_hours: quietHours } = normalizeSchedule(schedule);
+  if (!quietHours.enabled) return null;
+  return t('schedule.quietHours', { start: formatTime(quietHours.start), end: formatTime(quietHours.end) });
+}
+
+export {
+  getFrequencyOptions,
+  getWeekdayOptions,
+  getTimeOptions,
+  TIMEZONE_OPTIONS,
+  setShopTimezone,
+  getDefaultSchedule,
+  formatTime,
+  normalizeSchedule,
+  describeSchedule,
+  describeQuietHours
+};
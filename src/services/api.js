@@ -2,6 +2,11 @@
 import axios from 'axios';
 import { getSessionToken } from '@shopify/app-bridge/utilities';
 import { createApp } from '@shopify/app-bridge';
+import { Redirect } from '@shopify/app-bridge/actions';
+import { responses, parseResponse } from './schemas';
+import { createLogger, getLogLevel } from './logger';
+
+const log = createLogger('api');
 
 // Environment configuration
 class EnvironmentConfig {
@@ -16,19 +21,37 @@ class EnvironmentConfig {
     return import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000/api';
   }
 
+  // Serve every request from the fixtures in mockBackend.js instead of the
+  // Laravel API. Set VITE_USE_MOCK_API=true in .env.local to turn it on.
+  static useMockApi() {
+    return import.meta.env.VITE_USE_MOCK_API === 'true';
+  }
+
   static getShopifyApiKey() {
     return import.meta.env.VITE_SHOPIFY_API_KEY;
   }
 
+  // Where the backend starts OAuth when the app needs to be (re)authorized
+  static getAuthUrl(shop) {
+    const authUrl = import.meta.env.VITE_AUTH_URL || `${this.getApiBaseUrl()}/auth`;
+    return `${authUrl}?shop=${encodeURIComponent(shop || '')}`;
+  }
+
+  static getEnvironment() {
+    return {
+      mode: import.meta.env.MODE,
+      production: this.isProduction(),
+      development: this.isDevelopment(),
+      apiBaseUrl: this.getApiBaseUrl(),
+      hostname: window.location.hostname,
+      apiKeyPresent: !!this.getShopifyApiKey(),
+      mockApi: this.useMockApi(),
+      logLevel: getLogLevel(),
+    };
+  }
+
   static logEnvironment() {
-    console.group('🌍 Environment Configuration');
-    console.log('Mode:', import.meta.env.MODE);
-    console.log('Production:', this.isProduction());
-    console.log('Development:', this.isDevelopment());
-    console.log('API Base URL:', this.getApiBaseUrl());
-    console.log('Hostname:', window.location.hostname);
-    console.log('Shopify API Key Present:', !!this.getShopifyApiKey());
-    console.groupEnd();
+    log.info('Environment', this.getEnvironment());
   }
 
   static isDevelopment() {
@@ -38,14 +61,18 @@ class EnvironmentConfig {
 
 // Shopify App Configuration
 class ShopifyAppConfig {
+  // Stand-ins so the app also loads outside the Shopify Admin with the mock API
+  static MOCK_SHOP = 'demo-store.myshopify.com';
+  static MOCK_HOST = btoa('admin.shopify.com/store/demo-store');
+
   static getShopDomain() {
     const params = new URLSearchParams(window.location.search);
-    return params.get('shop');
+    return params.get('shop') || (EnvironmentConfig.useMockApi() ? this.MOCK_SHOP : null);
   }
 
   static getHost() {
     const params = new URLSearchParams(window.location.search);
-    return params.get('host');
+    return params.get('host') || (EnvironmentConfig.useMockApi() ? this.MOCK_HOST : null);
   }
 
   static validateAppContext() {
@@ -53,20 +80,32 @@ class ShopifyAppConfig {
     const host = this.getHost();
     const isEmbedded = !!(shop && host);
 
-    console.group('🛍️ Shopify App Context');
-    console.log('Shop:', shop);
-    console.log('Host:', host ? `${host.substring(0, 20)}...` : 'missing');
-    console.log('Is Embedded:', isEmbedded);
-    console.log('Full URL:', window.location.href);
-    console.groupEnd();
+    log.debug('Shopify app context', { shop, host, isEmbedded, url: window.location.href });
 
     return { shop, host, isEmbedded };
   }
 }
 
+// Seconds before expiry at which a cached session token is replaced
+const TOKEN_EXPIRY_MARGIN = 10;
+
+// Session tokens are JWTs; exp is in seconds since the epoch
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch (error) {
+    return 0;
+  }
+}
+
 // App Bridge Service
 class AppBridgeService {
   static instance = null;
+  static token = null;
+  static tokenExpiresAt = 0;
+  static pendingToken = null;
+  static redirecting = false;
 
   static getInstance() {
     if (this.instance) return this.instance;
@@ -75,12 +114,12 @@ class AppBridgeService {
     const apiKey = EnvironmentConfig.getShopifyApiKey();
 
     if (!apiKey) {
-      console.error('❌ Missing VITE_SHOPIFY_API_KEY');
+      log.error('Missing VITE_SHOPIFY_API_KEY');
       return null;
     }
 
     if (!shop || !host) {
-      console.warn('⚠️ Cannot initialize App Bridge: Missing shop or host parameters');
+      log.warn('Cannot initialize App Bridge: missing shop or host parameters');
       return null;
     }
 
@@ -91,33 +130,239 @@ class AppBridgeService {
         forceRedirect: true,
       });
       
-      console.log('✅ App Bridge initialized');
+      log.debug('App Bridge initialized');
       return this.instance;
     } catch (error) {
-      console.error('❌ App Bridge creation failed:', error);
+      log.error('App Bridge creation failed', error);
       return null;
     }
   }
 
-  static async getSessionToken() {
+  // Reuses the last token until shortly before it expires. Concurrent callers
+  // share one App Bridge request. Pass { forceRefresh: true } after a 401.
+  static async getSessionToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.token && Date.now() < this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN * 1000) {
+      return this.token;
+    }
+    if (this.pendingToken) return this.pendingToken;
+
+    this.pendingToken = (async () => {
+      try {
+        const app = this.getInstance();
+        if (!app) {
+          throw new Error('App Bridge not available');
+        }
+
+        const token = await getSessionToken(app);
+        this.token = token;
+        this.tokenExpiresAt = getTokenExpiry(token);
+        return token;
+      } catch (error) {
+        log.error('Failed to get session token', error);
+        this.clearSessionToken();
+        throw error;
+      } finally {
+        this.pendingToken = null;
+      }
+    })();
+
+    return this.pendingToken;
+  }
+
+  static getState() {
+    return {
+      initialized: !!this.instance,
+      hasToken: !!this.token,
+      tokenExpiresAt: this.tokenExpiresAt ? new Date(this.tokenExpiresAt).toISOString() : null,
+      redirecting: this.redirecting,
+    };
+  }
+
+  static clearSessionToken() {
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  // OAuth has to run at the top level, outside the admin iframe
+  static redirectToAuth(url) {
+    if (this.redirecting) return;
+    this.redirecting = true;
+
+    const authUrl = url || EnvironmentConfig.getAuthUrl(ShopifyAppConfig.getShopDomain());
+    log.warn('Re-authentication required, redirecting', { url: authUrl });
+    this.redirectRemote(authUrl);
+  }
+
+  // Leaves the app for a page outside it. Embedded, the admin has to do the
+  // navigating; the iframe can't send the top window away itself.
+  static redirectRemote(url) {
+    const app = this.getInstance();
+    if (app) {
+      Redirect.create(app).dispatch(Redirect.Action.REMOTE, url);
+    } else {
+      window.location.assign(url);
+    }
+  }
+}
+
+// Last good GET responses, kept in localStorage per shop so the app has
+// something to show while the backend is slow or unreachable. Only read models
+// without secrets are kept: settings hold webhook URLs, signing secrets and
+// phone numbers, and localStorage is readable by any script on the origin.
+// Nothing is cached with the mock API, whose fixtures would otherwise be shown
+// as the shop's real data after switching back.
+class ResponseCache {
+  static PREFIX = 'lsa:cache:';
+  static MAX_AGE = 24 * 60 * 60 * 1000;
+  static CACHEABLE = [/^\/store$/, /^\/dashboard\/low-stock$/, /^\/dashboard\/stats$/, /^\/locations$/];
+
+  static isCacheable(url) {
+    const path = url.split('?')[0];
+    return this.CACHEABLE.some((pattern) => pattern.test(path));
+  }
+
+  static shopPrefix() {
+    return `${this.PREFIX}${ShopifyAppConfig.getShopDomain() || 'unknown'}:`;
+  }
+
+  // One entry per endpoint, whatever the query, so the last good copy is found
+  // before the query for this load is known
+  static key(url) {
+    return `${this.shopPrefix()}${url.split('?')[0]}`;
+  }
+
+  static isExpired(entry) {
+    const cachedAt = Date.parse(entry.cached_at);
+    return Number.isNaN(cachedAt) || Date.now() - cachedAt > this.MAX_AGE;
+  }
+
+  static read(url) {
+    if (EnvironmentConfig.useMockApi() || !this.isCacheable(url)) return null;
+
     try {
-      const app = this.getInstance();
-      if (!app) {
-        throw new Error('App Bridge not available');
+      const entry = JSON.parse(window.localStorage.getItem(this.key(url)));
+      if (entry?.data === undefined) return null;
+      if (this.isExpired(entry)) {
+        this.remove(url);
+        return null;
       }
-      
-      const token = await getSessionToken(app);
-      return token;
+      return entry;
     } catch (error) {
-      console.error('❌ Failed to get session token:', error);
-      throw error;
+      return null;
+    }
+  }
+
+  static write(url, data) {
+    if (EnvironmentConfig.useMockApi() || !this.isCacheable(url)) return;
+
+    try {
+      window.localStorage.setItem(this.key(url), JSON.stringify({ data, cached_at: new Date().toISOString() }));
+    } catch (error) {
+      // Storage full or disabled; the app still works, just without the offline copy
+      log.warn('Could not cache response', { url });
+    }
+  }
+
+  static remove(url) {
+    try {
+      window.localStorage.removeItem(this.key(url));
+    } catch (error) {
+      // Storage disabled; there is nothing to remove
+    }
+  }
+
+  // Drops every entry for the current shop, e.g. after a write made them stale
+  static clear() {
+    this.removeWhere((key) => key.startsWith(this.shopPrefix()));
+  }
+
+  // Drops expired entries, and any left by older versions that cached more
+  // than the allow-list (settings included), for every shop
+  static prune() {
+    this.removeWhere((key) => {
+      if (!key.startsWith(this.PREFIX)) return false;
+      const url = key.slice(key.indexOf(':', this.PREFIX.length) + 1);
+      if (!this.isCacheable(url)) return true;
+      try {
+        return this.isExpired(JSON.parse(window.localStorage.getItem(key)) || {});
+      } catch (error) {
+        return true;
+      }
+    });
+  }
+
+  static removeWhere(predicate) {
+    try {
+      const keys = Array.from({ length: window.localStorage.length }, (_, index) => window.localStorage.key(index));
+      keys.filter((key) => key && predicate(key)).forEach((key) => window.localStorage.removeItem(key));
+    } catch (error) {
+      // Storage disabled; there is nothing to remove
     }
   }
 }
 
+// The last API calls with their timings, for the Diagnostics page
+class ApiCallLog {
+  static MAX_ENTRIES = 50;
+  static entries = [];
+
+  static record(config, status, error) {
+    if (!config) return;
+    this.entries.unshift({
+      time: new Date().toISOString(),
+      method: config.method?.toUpperCase(),
+      url: config.url,
+      status: status ?? null,
+      duration: config.startedAt ? Math.round(performance.now() - config.startedAt) : null,
+      attempt: (config.retryCount || 0) + 1,
+      error: error || null,
+    });
+    this.entries.length = Math.min(this.entries.length, this.MAX_ENTRIES);
+  }
+
+  static list() {
+    return [...this.entries];
+  }
+}
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Timeouts, network errors, rate limits and server errors are worth another try;
+// anything else the backend rejected on purpose
+function isRetryable(error) {
+  if (axios.isCancel(error) || !error.config) return false;
+  if (!IDEMPOTENT_METHODS.includes(error.config.method)) return false;
+  if (!navigator.onLine) return false;
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+// The backend is unreachable or failing, as opposed to refusing the request
+const isUnavailable = (error) => !error.response || error.response.status >= 500;
+
+// '/path', { a: 1, b: null } -> '/path?a=1'
+function withQuery(path, query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  });
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+const POLL_INTERVAL = 60000;
+const MAX_STREAM_FAILURES = 3;
+
 // API Service
 class ApiService {
   constructor() {
+    this.inflight = new Map();
+    ResponseCache.prune();
+
     this.client = axios.create({
       baseURL: EnvironmentConfig.getApiBaseUrl(),
       headers: {
@@ -126,6 +371,14 @@ class ApiService {
       timeout: 15000,
     });
 
+    if (EnvironmentConfig.useMockApi()) {
+      // Loaded on demand so the fixtures stay out of production bundles
+      this.client.defaults.adapter = async (config) => {
+        const { handleMockRequest } = await import('./mockBackend');
+        return handleMockRequest(config);
+      };
+    }
+
     this.setupInterceptors();
   }
 
@@ -138,73 +391,352 @@ class ApiService {
           config.headers['X-Shopify-Shop-Domain'] = shop;
         }
 
-        if (shop && !config.url?.includes('/public')) {
+        if (shop && !EnvironmentConfig.useMockApi() && !config.url?.includes('/public')) {
           try {
-            const token = await AppBridgeService.getSessionToken();
+            const token = await AppBridgeService.getSessionToken({ forceRefresh: config.refreshToken });
             config.headers['Authorization'] = `Bearer ${token}`;
           } catch (error) {
-            console.warn('⚠️ Proceeding without session token');
+            // The backend answers 401 and the response interceptor takes it from there
+            log.warn('Proceeding without session token');
           }
         }
 
-        console.log(`➡️ ${config.method?.toUpperCase()} ${config.url}`);
+        config.startedAt = performance.now();
+        log.debug(`${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
       (error) => {
-        console.error('❌ Request setup failed:', error);
+        log.error('Request setup failed', error);
         return Promise.reject(error);
       }
     );
 
     this.client.interceptors.response.use(
       (response) => {
-        console.log(`✅ ${response.status} ${response.config.url}`);
+        ApiCallLog.record(response.config, response.status);
+        log.debug(`${response.status} ${response.config.url}`);
         return response;
       },
-      (error) => {
+      async (error) => {
+        const status = error.response?.status;
+        ApiCallLog.record(error.config, status, error.message);
+
+        // The backend asks for OAuth when the app was uninstalled or its scopes changed
+        if (error.response?.headers?.['x-shopify-api-request-failure-reauthorize'] === '1') {
+          AppBridgeService.redirectToAuth(error.response.headers['x-shopify-api-request-failure-reauthorize-url']);
+          return Promise.reject(error);
+        }
+
+        // An expired or rejected token gets one retry with a fresh one
+        if (status === 401 && error.config && !error.config.refreshToken) {
+          error.config.refreshToken = true;
+          AppBridgeService.clearSessionToken();
+          return this.client(error.config);
+        }
+
+        if (status === 401) {
+          AppBridgeService.redirectToAuth();
+          return Promise.reject(error);
+        }
+
+        if (isRetryable(error)) {
+          const attempt = (error.config.retryCount || 0) + 1;
+          if (attempt <= MAX_RETRIES) {
+            error.config.retryCount = attempt;
+            const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.random() * 100;
+            log.warn(`Retrying ${error.config.url} (${attempt}/${MAX_RETRIES}) in ${Math.round(delay)}ms`);
+            await wait(delay);
+            return this.client(error.config);
+          }
+        }
+
         if (error.response) {
-          console.error(`❌ ${error.response.status} ${error.config?.url}:`, error.response.data);
+          log.error(`${error.response.status} ${error.config?.url}`, error.response.data);
         } else if (error.request) {
-          console.error('❌ No response received:', error.config?.url);
+          log.error(`No response received for ${error.config?.url}`);
         } else {
-          console.error('❌ Request error:', error.message);
+          log.error('Request error', error);
         }
         return Promise.reject(error);
       }
     );
   }
 
+  // GETs for the same URL share one request. Successful responses of the read
+  // models in ResponseCache are cached; when the backend can't be reached the
+  // cached copy is returned instead, marked
+  // with fromCache and cachedAt. Pass { cached: true } to read only the cache
+  // (resolves to null when there is nothing cached).
+  // Every response is validated and normalized against its schema in schemas.js.
+  get(url, schema, { cached = false } = {}) {
+    if (cached) {
+      return Promise.resolve(this.readCached(url, schema));
+    }
+
+    if (!this.inflight.has(url)) {
+      const request = this.client.get(url)
+        .then((response) => {
+          ResponseCache.write(url, response.data);
+          return response;
+        })
+        .catch((error) => {
+          const cachedResponse = isUnavailable(error) && this.readCached(url, schema);
+          if (!cachedResponse) throw error;
+          return cachedResponse;
+        })
+        .finally(() => this.inflight.delete(url));
+
+      this.inflight.set(url, request);
+    }
+
+    return this.inflight.get(url)
+      .then((response) => (response.fromCache ? response : parseResponse(schema, url, response)));
+  }
+
+  // The cached copy of url, parsed, or null. Entries that no longer match the
+  // schema, e.g. saved by an older version of the app, are dropped rather than
+  // failing the page that asked for them.
+  readCached(url, schema) {
+    const entry = ResponseCache.read(url);
+    if (!entry) return null;
+
+    try {
+      return parseResponse(schema, url, { data: entry.data, fromCache: true, cachedAt: entry.cached_at });
+    } catch (error) {
+      log.warn('Dropping cached response that no longer validates', { url });
+      ResponseCache.remove(url);
+      return null;
+    }
+  }
+
+  // Any successful write can change what the cached read models say (stock,
+  // stats, the threshold, setup and plan), so the shop's copies are dropped
+  // rather than shown offline as if they were current
+  send(method, url, data, schema) {
+    return this.client.request({ method, url, data })
+      .then((response) => {
+        if (method !== 'get') ResponseCache.clear();
+        return parseResponse(schema, url, response);
+      });
+  }
+
   // API methods
-  getStore() {
-    return this.client.get('/store');
+  getStore(options) {
+    return this.get('/store', responses.store, options);
   }
 
   saveSetup(data) {
-    return this.client.post('/setup', data);
+    return this.send('post', '/setup', data, responses.acknowledgement);
+  }
+
+  // Sends a real alert to the given recipients and reports how delivery went
+  sendTestAlert(data) {
+    return this.send('post', '/setup/test-alert', data, responses.testAlert);
+  }
+
+  // Creates a recurring charge for the plan. The merchant approves or declines it
+  // at confirmation_url, and Shopify sends them back to returnUrl with a charge_id.
+  subscribe(plan, returnUrl) {
+    return this.send('post', '/billing/subscribe', { plan, return_url: returnUrl }, responses.subscription);
+  }
+
+  // Activates the charge if it was approved; status says what became of it
+  confirmSubscription(chargeId) {
+    return this.send('post', '/billing/confirm', { charge_id: chargeId }, responses.billing);
+  }
+
+  cancelSubscription() {
+    return this.send('post', '/billing/cancel', {}, responses.billing);
   }
 
-  getSettings() {
-    return this.client.get('/settings');
+  getSettings(options) {
+    return this.get('/settings', responses.settings, options);
   }
 
   updateSettings(data) {
-    return this.client.put('/settings', data);
+    return this.send('put', '/settings', data, responses.savedSettings);
+  }
+
+  getLocations(options) {
+    return this.get('/locations', responses.locations, options);
+  }
+
+  // query: { threshold, location_ids, cover_days } from getCandidateQuery in thresholds.js
+  getLowStock(query = {}, options) {
+    return this.get(withQuery('/dashboard/low-stock', query), responses.lowStock, options);
+  }
+
+  getItemStatuses(options) {
+    return this.get('/dashboard/item-statuses', responses.itemStatuses, options);
+  }
+
+  updateItemStatuses(variantIds, data) {
+    return this.send('post', '/dashboard/item-statuses', { variant_ids: variantIds, ...data }, responses.acknowledgement);
+  }
+
+  clearItemStatuses(variantIds) {
+    return this.send('post', '/dashboard/item-statuses/clear', { variant_ids: variantIds }, responses.acknowledgement);
+  }
+
+  getStats(options) {
+    return this.get('/dashboard/stats', responses.stats, options);
+  }
+
+  getTrend(days = 30, options) {
+    return this.get(`/dashboard/trend?days=${days}`, responses.trend, options);
+  }
+
+  getAlertHistory(page = 1, perPage = 20, options) {
+    return this.get(`/alerts/history?page=${page}&per_page=${perPage}`, responses.alertHistory, options);
+  }
+
+  getAlert(id, options) {
+    return this.get(`/alerts/history/${id}`, responses.alert, options);
+  }
+
+  // One variant's stock level history, sales and adjustments, and the alerts it was in
+  getVariantActivity(variantId, days = 30, options) {
+    return this.get(`/variants/${variantId}/activity?days=${days}`, responses.variantActivity, options);
+  }
+
+  testNotificationChannel(channel) {
+    return this.send('post', '/notifications/test', { channel }, responses.acknowledgement);
+  }
+
+  adjustInventory(adjustments) {
+    return this.send('post', '/inventory/adjust', { adjustments }, responses.adjustment);
+  }
+
+  getSuppliers(options) {
+    return this.get('/suppliers', responses.suppliers, options);
+  }
+
+  createSupplier(data) {
+    return this.send('post', '/suppliers', data, responses.supplier);
+  }
+
+  updateSupplier(id, data) {
+    return this.send('put', `/suppliers/${id}`, data, responses.savedSupplier);
+  }
+
+  deleteSupplier(id) {
+    return this.send('delete', `/suppliers/${id}`, undefined, responses.acknowledgement);
+  }
+
+  getPurchaseOrders(options) {
+    return this.get('/purchase-orders', responses.purchaseOrders, options);
+  }
+
+  createPurchaseOrders(orders) {
+    return this.send('post', '/purchase-orders', { orders }, responses.acknowledgement);
+  }
+
+  updatePurchaseOrder(id, data) {
+    return this.send('put', `/purchase-orders/${id}`, data, responses.savedPurchaseOrder);
   }
 
-  getLowStock() {
-    return this.client.get('/dashboard/low-stock');
+  deletePurchaseOrder(id) {
+    return this.send('delete', `/purchase-orders/${id}`, undefined, responses.acknowledgement);
   }
 
-  getStats() {
-    return this.client.get('/dashboard/stats');
+  // Goes through the client directly: asking for a ticket changes nothing the
+  // response cache holds, so it shouldn't clear it the way other POSTs do
+  getStreamTicket() {
+    const url = '/dashboard/stream-ticket';
+    return this.client.post(url).then((response) => parseResponse(responses.streamTicket, url, response));
   }
 
-  getTrend(days = 30) {
-    return this.client.get(`/dashboard/trend?days=${days}`);
+  // Live inventory changes over server-sent events. The stream sends
+  // { type: 'items', items, removed, stats } whenever items change; polling
+  // sends { type: 'snapshot', items, stats } with the full low stock list.
+  // Falls back to polling when EventSource is missing or the stream keeps
+  // failing. Returns a function that ends the subscription.
+  subscribeToInventory(onUpdate, {
+    onStatusChange = () => {},
+    getLowStockQuery = () => ({}),
+    pollInterval = POLL_INTERVAL
+  } = {}) {
+    let source = null;
+    let timer = null;
+    let failures = 0;
+    let stopped = false;
+
+    const poll = () => {
+      if (stopped || timer) return;
+      onStatusChange('polling');
+      timer = setInterval(async () => {
+        try {
+          const lowStock = await this.getLowStock(getLowStockQuery());
+          if (lowStock.fromCache) return;
+          onUpdate({ type: 'snapshot', items: lowStock.low_stock_items, stats: lowStock.stats });
+        } catch (error) {
+          // Already logged by the interceptor; try again on the next tick
+        }
+      }, pollInterval);
+    };
+
+    const connect = async () => {
+      if (stopped) return;
+      if (EnvironmentConfig.useMockApi() || typeof window.EventSource === 'undefined') return poll();
+
+      try {
+        // EventSource can't send headers. Rather than put the session token in
+        // the URL, where proxies and server logs keep it, we trade it for a
+        // short-lived ticket the backend accepts once.
+        const { ticket } = await this.getStreamTicket();
+        if (stopped) return;
+
+        const url = new URL(`${EnvironmentConfig.getApiBaseUrl()}/dashboard/stream`);
+        url.searchParams.set('shop', ShopifyAppConfig.getShopDomain() || '');
+        Object.entries(getLowStockQuery()).forEach(([key, value]) => url.searchParams.set(key, value));
+        url.searchParams.set('ticket', ticket);
+
+        source = new EventSource(url.toString());
+        source.onopen = () => {
+          failures = 0;
+          onStatusChange('live');
+        };
+        source.onmessage = (event) => {
+          try {
+            onUpdate(parseResponse(responses.inventoryEvent, '/dashboard/stream', { data: JSON.parse(event.data) }));
+          } catch (error) {
+            log.warn('Ignoring malformed stream event', error);
+          }
+        };
+        source.onerror = () => {
+          // EventSource reconnects on its own unless the server refused the stream,
+          // which it does once the ticket in the URL has been used or has expired.
+          // Either way updates stop until it's back, so the page mustn't say live.
+          if (source.readyState !== EventSource.CLOSED) {
+            onStatusChange('reconnecting');
+            return;
+          }
+          source = null;
+          failures += 1;
+          if (failures < MAX_STREAM_FAILURES) {
+            onStatusChange('reconnecting');
+            setTimeout(connect, RETRY_BASE_DELAY * 2 ** failures);
+          } else {
+            log.warn('Inventory stream unavailable, polling instead');
+            poll();
+          }
+        };
+      } catch (error) {
+        poll();
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      source?.close();
+      clearInterval(timer);
+    };
   }
 
   healthCheck() {
-    return this.client.get('/health');
+    return this.send('get', '/health', undefined, responses.health);
   }
 }
 
@@ -216,6 +748,7 @@ export {
   EnvironmentConfig, 
   ShopifyAppConfig, 
   AppBridgeService,
+  ApiCallLog,
   apiService  // Add this line to export apiService as named export
 };
 
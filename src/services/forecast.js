@@ -0,0 +1,78 @@
+// src/services/forecast.js
+import { t, formatNumber, formatDate } from './i18n';
+
+const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+// Average units sold per day. The API sends average_daily_sales; older
+// responses only have units_sold over a sales_window_days period.
+function getDailyVelocity(item) {
+  if (item.average_daily_sales !== undefined && item.average_daily_sales !== null) {
+    return Number(item.average_daily_sales);
+  }
+  if (item.units_sold !== undefined && item.sales_window_days) {
+    return Number(item.units_sold) / Number(item.sales_window_days);
+  }
+  return null;
+}
+
+// null when there are no sales to project from
+function getDaysOfCover(quantity, velocity) {
+  if (!velocity || velocity <= 0) return null;
+  return Math.max(0, quantity) / velocity;
+}
+
+function getStockoutDate(daysOfCover, from = new Date()) {
+  if (daysOfCover === null) return null;
+  const date = new Date(from);
+  date.setDate(date.getDate() + Math.floor(daysOfCover));
+  return date;
+}
+
+function forecastItem(item, quantity = item.stock_quantity) {
+  const velocity = getDailyVelocity(item);
+  const daysOfCover = getDaysOfCover(quantity, velocity);
+  return {
+    velocity,
+    days_of_cover: daysOfCover,
+    stockout_date: getStockoutDate(daysOfCover),
+  };
+}
+
+// Same shape as the unit severity: critical within half the window, warning within it
+function getCoverSeverity(daysOfCover, minDays) {
+  if (daysOfCover === null || !minDays) return 'ok';
+  if (daysOfCover <= minDays / 2) return 'critical';
+  if (daysOfCover <= minDays) return 'warning';
+  return 'ok';
+}
+
+function worstSeverity(...severities) {
+  return severities.reduce((worst, severity) =>
+    SEVERITY_RANK[severity] > SEVERITY_RANK[worst] ? severity : worst
+  , 'ok');
+}
+
+const formatVelocity = (velocity) => (velocity === null
+  ? '-'
+  : t('forecast.perDay', { value: formatNumber(velocity, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }));
+
+const formatDaysOfCover = (daysOfCover) => {
+  if (daysOfCover === null) return t('forecast.noRecentSales');
+  if (daysOfCover < 1) return t('forecast.underOneDay');
+  return t('forecast.days', { count: Math.floor(daysOfCover) });
+};
+
+const formatStockoutDate = (date) =>
+  date ? formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' }) : '-';
+
+export {
+  getDailyVelocity,
+  getDaysOfCover,
+  getStockoutDate,
+  forecastItem,
+  getCoverSeverity,
+  worstSeverity,
+  formatVelocity,
+  formatDaysOfCover,
+  formatStockoutDate
+};
@@ -0,0 +1,128 @@
+// src/services/i18n.js
+import en from '../locales/en.json';
+import polarisEn from '@shopify/polaris/locales/en.json';
+import { createLogger } from './logger';
+
+const log = createLogger('i18n');
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'fr', 'de', 'es'];
+
+// Listed explicitly so Vite splits each language into its own chunk
+const CATALOGS = {
+  fr: () => import('../locales/fr.json'),
+  de: () => import('../locales/de.json'),
+  es: () => import('../locales/es.json'),
+};
+
+const POLARIS_CATALOGS = {
+  fr: () => import('@shopify/polaris/locales/fr.json'),
+  de: () => import('@shopify/polaris/locales/de.json'),
+  es: () => import('@shopify/polaris/locales/es.json'),
+};
+
+let activeLocale = DEFAULT_LOCALE;
+let activeMessages = en;
+const reportedKeys = new Set();
+
+// "fr-CA" -> "fr"; null when we have no catalog for the language
+function matchLocale(value) {
+  if (!value) return null;
+  const language = String(value).toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// Shopify adds the merchant's admin language to the app URL as ?locale=
+function resolveLocale() {
+  const candidates = [
+    new URLSearchParams(window.location.search).get('locale'),
+    ...(navigator.languages || [navigator.language]),
+  ];
+  return candidates.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+// Switches the app to a locale and returns the matching Polaris translations.
+// A catalog that fails to load leaves the app in English rather than blank.
+async function loadLocale(locale) {
+  if (!CATALOGS[locale]) {
+    activeLocale = DEFAULT_LOCALE;
+    activeMessages = en;
+    return polarisEn;
+  }
+
+  try {
+    const [messages, polaris] = await Promise.all([CATALOGS[locale](), POLARIS_CATALOGS[locale]()]);
+    activeLocale = locale;
+    activeMessages = messages.default;
+    return polaris.default;
+  } catch (error) {
+    log.error(`Failed to load the ${locale} catalog`, error);
+    activeLocale = DEFAULT_LOCALE;
+    activeMessages = en;
+    return polarisEn;
+  }
+}
+
+const getLocale = () => activeLocale;
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+// Plural messages are objects keyed by Intl.PluralRules category
+function selectPlural(message, count) {
+  if (typeof message !== 'object' || message === null) return message;
+  const category = new Intl.PluralRules(activeLocale).select(count);
+  return message[category] ?? message.other;
+}
+
+function interpolate(message, values) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined) return match;
+    return typeof values[name] === 'number' ? formatNumber(values[name]) : String(values[name]);
+  });
+}
+
+// t('dashboard.title'), t('table.units', { count: 3 })
+// Missing keys fall back to English, then to the key itself.
+function t(key, values = {}) {
+  let message = selectPlural(lookup(activeMessages, key), values.count);
+
+  if (typeof message !== 'string') {
+    if (!reportedKeys.has(`${activeLocale}:${key}`)) {
+      reportedKeys.add(`${activeLocale}:${key}`);
+      log.warn(`Missing ${activeLocale} translation for ${key}`);
+    }
+    message = selectPlural(lookup(en, key), values.count);
+  }
+
+  return typeof message === 'string' ? interpolate(message, values) : key;
+}
+
+function formatNumber(value, options) {
+  return new Intl.NumberFormat(activeLocale, options).format(value);
+}
+
+// Returns unparseable values unchanged, so free-form strings from the API still show
+function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(activeLocale, options).format(date);
+}
+
+const formatDateTime = (value) => formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+
+// ['a', 'b', 'c'] -> 'a, b and c' in the active locale
+const formatList = (items) => new Intl.ListFormat(activeLocale, { type: 'conjunction' }).format(items);
+
+export {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  loadLocale,
+  getLocale,
+  t,
+  formatNumber,
+  formatDate,
+  formatDateTime,
+  formatList
+};
@@ -0,0 +1,60 @@
+// src/services/itemStatus.js
+import { getItemId } from './lowStockQuery';
+import { t, formatDate } from './i18n';
+
+const ITEM_STATUSES = {
+  acknowledged: 'acknowledged',
+  snoozed: 'snoozed',
+  ignored: 'ignored',
+};
+
+const SNOOZE_DAYS = [1, 3, 7, 14, 30];
+
+const getSnoozeOptions = () => [
+  ...SNOOZE_DAYS.map((days) => ({ label: t('forecast.days', { count: days }), value: String(days) })),
+  { label: t('snooze.untilRestocked'), value: 'restocked' },
+];
+
+// Builds the status payload for a snooze choice from getSnoozeOptions()
+function buildSnooze(choice, now = new Date()) {
+  if (choice === 'restocked') {
+    return { status: ITEM_STATUSES.snoozed, until_restocked: true, snoozed_until: null };
+  }
+  const until = new Date(now);
+  until.setDate(until.getDate() + Number(choice));
+  return { status: ITEM_STATUSES.snoozed, until_restocked: false, snoozed_until: until.toISOString() };
+}
+
+const indexStatuses = (statuses = []) =>
+  new Map(statuses.map((entry) => [getItemId(entry), entry]));
+
+// Snoozes that ran out no longer count. "Until restocked" snoozes are
+// cleared by the backend once the item is back above its threshold.
+function isActive(entry, now = new Date()) {
+  if (!entry) return false;
+  if (entry.status !== ITEM_STATUSES.snoozed || entry.until_restocked) return true;
+  return Boolean(entry.snoozed_until) && new Date(entry.snoozed_until) > now;
+}
+
+// Snoozed and ignored items leave the low stock table; acknowledged ones stay, marked as seen
+const isMuted = (entry, now) =>
+  isActive(entry, now) && entry.status !== ITEM_STATUSES.acknowledged;
+
+function describeStatus(entry) {
+  if (entry.status === ITEM_STATUSES.ignored) return t('snooze.ignored');
+  if (entry.status === ITEM_STATUSES.acknowledged) return t('table.acknowledged');
+  if (entry.until_restocked) return t('snooze.snoozedUntilRestocked');
+  return t('snooze.snoozedUntil', {
+    date: formatDate(entry.snoozed_until, { month: 'short', day: 'numeric' }),
+  });
+}
+
+export {
+  ITEM_STATUSES,
+  getSnoozeOptions,
+  buildSnooze,
+  indexStatuses,
+  isActive,
+  isMuted,
+  describeStatus
+};
@@ -0,0 +1,50 @@
+// src/services/locations.js
+
+// Low-stock items carry one inventory level per location:
+// inventory_levels: [{ location_id, location_name, available }].
+// Items from single-location stores may only have stock_quantity.
+
+const sameId = (a, b) => String(a) === String(b);
+
+function hasLocationLevels(item) {
+  return Array.isArray(item.inventory_levels) && item.inventory_levels.length > 0;
+}
+
+// Units at the given locations; an empty list means every location
+function getLocationQuantity(item, locationIds = []) {
+  if (!hasLocationLevels(item)) return item.stock_quantity;
+
+  return item.inventory_levels
+    .filter((level) => !locationIds.length || locationIds.some((id) => sameId(id, level.location_id)))
+    .reduce((total, level) => total + (Number(level.available) || 0), 0);
+}
+
+// Returns a copy of item with one location's quantity replaced and the total kept in step
+function setLocationQuantity(item, locationId, quantity) {
+  if (!hasLocationLevels(item) || !locationId) {
+    return { ...item, stock_quantity: quantity };
+  }
+
+  const levels = item.inventory_levels.map((level) =>
+    sameId(level.location_id, locationId) ? { ...level, available: quantity } : level
+  );
+  return {
+    ...item,
+    inventory_levels: levels,
+    stock_quantity: levels.reduce((total, level) => total + (Number(level.available) || 0), 0),
+  };
+}
+
+// A location's own threshold, if the merchant set one
+function getLocationThreshold(locationThresholds = {}, locationId) {
+  const value = locationThresholds[locationId];
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+export {
+  sameId,
+  hasLocationLevels,
+  getLocationQuantity,
+  setLocationQuantity,
+  getLocationThreshold
+};
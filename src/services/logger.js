@@ -0,0 +1,106 @@
+// src/services/logger.js
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MAX_ENTRIES = 100;
+const MAX_DEPTH = 4;
+
+const SECRET_KEY = /token|authorization|secret|password|session|hmac/i;
+const SHOP_KEY = /^shop(_domain)?$/i;
+const HOST_KEY = /^host$/i;
+
+const recentEntries = [];
+
+// Support can ask a merchant to run localStorage.setItem('lsa:log-level', 'debug')
+function getLogLevel() {
+  let override = null;
+  try {
+    override = window.localStorage.getItem('lsa:log-level');
+  } catch (error) {
+    // Storage blocked; fall through to the build default
+  }
+  const level = override || import.meta.env.VITE_LOG_LEVEL || (import.meta.env.DEV ? 'debug' : 'warn');
+  return LEVELS[level] ? level : 'warn';
+}
+
+// demo-store.myshopify.com -> de***.myshopify.com
+const maskShop = (shop) =>
+  String(shop).replace(/([a-z0-9])([a-z0-9-]*)\.myshopify\.com/gi, (_, first, rest) =>
+    `${first}${rest ? `${rest[0]}***` : ''}.myshopify.com`);
+
+function redactString(value) {
+  return maskShop(value)
+    .replace(/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]')
+    .replace(/Bearer\s+\S+/gi, 'Bearer [token]')
+    .replace(/\b(host|token|hmac|session|id_token)=[^&\s]+/gi, '$1=[redacted]');
+}
+
+// Copies a value with shop domains masked and hosts and tokens removed, so
+// logs and diagnostics reports are safe to share
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+
+  // Axios errors carry the request config, headers included
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      status: value.response?.status,
+      url: value.config?.url,
+      response: value.response?.data,
+    }, depth + 1);
+  }
+
+  if (Array.isArray(value)) return value.map((entry) => redact(entry, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => {
+      if (entry === null || entry === undefined) return [key, entry];
+      if (SECRET_KEY.test(key)) return [key, '[redacted]'];
+      if (HOST_KEY.test(key)) return [key, '[host]'];
+      if (SHOP_KEY.test(key)) return [key, maskShop(entry)];
+      return [key, redact(entry, depth + 1)];
+    })
+  );
+}
+
+function createLogger(scope) {
+  const write = (level) => (message, context) => {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      scope,
+      message: redactString(message),
+      context: context === undefined ? undefined : redact(context),
+    };
+
+    recentEntries.push(entry);
+    if (recentEntries.length > MAX_ENTRIES) recentEntries.shift();
+
+    if (LEVELS[level] < LEVELS[getLogLevel()]) return;
+    const method = level === 'debug' ? 'log' : level;
+    const args = [`[${scope}] ${entry.message}`];
+    if (entry.context !== undefined) args.push(entry.context);
+    console[method](...args);
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+  };
+}
+
+// Newest first
+const getRecentEntries = () => [...recentEntries].reverse();
+
+export {
+  LEVELS,
+  getLogLevel,
+  redact,
+  createLogger,
+  getRecentEntries
+};
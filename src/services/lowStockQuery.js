@@ -0,0 +1,110 @@
+// src/services/lowStockQuery.js
+
+// Query string keys owned by the low-stock table. Everything else in the URL
+// (shop, host, ...) is left untouched when the table state changes.
+const QUERY_KEYS = ['q', 'severity', 'vendor', 'type', 'sort', 'dir', 'page'];
+
+const SORT_FIELDS = {
+  stock: (item) => item.stock_quantity,
+  product: (item) => `${item.product_name || ''} ${item.variant_name || ''}`.toLowerCase(),
+  sku: (item) => (item.sku || '').toLowerCase(),
+  // Items without sales never run out, so they sort last
+  cover: (item) => item.days_of_cover ?? Infinity,
+};
+
+const DEFAULT_QUERY = {
+  q: '',
+  severity: [],
+  vendor: [],
+  type: [],
+  sort: 'stock',
+  dir: 'asc',
+  page: 1,
+};
+
+const PAGE_SIZE = 25;
+
+// Low-stock rows are variants; fall back to the row id for older API responses
+const getItemId = (item) => String(item.variant_id ?? item.id);
+
+function parseTableQuery(searchParams) {
+  const sort = searchParams.get('sort');
+  const dir = searchParams.get('dir');
+  const page = parseInt(searchParams.get('page'), 10);
+
+  return {
+    q: searchParams.get('q') || DEFAULT_QUERY.q,
+    severity: searchParams.getAll('severity'),
+    vendor: searchParams.getAll('vendor'),
+    type: searchParams.getAll('type'),
+    sort: SORT_FIELDS[sort] ? sort : DEFAULT_QUERY.sort,
+    dir: dir === 'desc' ? 'desc' : DEFAULT_QUERY.dir,
+    page: page > 0 ? page : DEFAULT_QUERY.page,
+  };
+}
+
+// Returns a copy of searchParams with the table keys replaced by query.
+// Default values are left out so a plain dashboard URL stays plain.
+function mergeTableQuery(searchParams, query) {
+  const params = new URLSearchParams(searchParams);
+  QUERY_KEYS.forEach((key) => params.delete(key));
+
+  if (query.q) params.set('q', query.q);
+  query.severity.forEach((value) => params.append('severity', value));
+  query.vendor.forEach((value) => params.append('vendor', value));
+  query.type.forEach((value) => params.append('type', value));
+  if (query.sort !== DEFAULT_QUERY.sort) params.set('sort', query.sort);
+  if (query.dir !== DEFAULT_QUERY.dir) params.set('dir', query.dir);
+  if (query.page > 1) params.set('page', String(query.page));
+
+  return params;
+}
+
+function filterItems(items, query) {
+  const search = query.q.trim().toLowerCase();
+
+  return items.filter((item) => {
+    if (query.severity.length && !query.severity.includes(item.severity)) return false;
+    if (query.vendor.length && !query.vendor.includes(item.vendor)) return false;
+    if (query.type.length && !query.type.includes(item.product_type)) return false;
+    if (!search) return true;
+
+    return [item.product_name, item.variant_name, item.sku, item.vendor]
+      .some((value) => (value || '').toLowerCase().includes(search));
+  });
+}
+
+function sortItems(items, sort, dir) {
+  const getValue = SORT_FIELDS[sort] || SORT_FIELDS.stock;
+  const modifier = dir === 'desc' ? -1 : 1;
+
+  return [...items].sort((a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    if (left < right) return -1 * modifier;
+    if (left > right) return 1 * modifier;
+    return 0;
+  });
+}
+
+// Filtered and sorted, but not paged: what the user is currently looking at
+function applyTableQuery(items, query) {
+  return sortItems(filterItems(items, query), query.sort, query.dir);
+}
+
+// Distinct, sorted values of a field, for building filter choices
+function uniqueValues(items, field) {
+  return [...new Set(items.map((item) => item[field]).filter(Boolean))].sort();
+}
+
+export {
+  DEFAULT_QUERY,
+  PAGE_SIZE,
+  getItemId,
+  parseTableQuery,
+  mergeTableQuery,
+  filterItems,
+  sortItems,
+  applyTableQuery,
+  uniqueValues
+};
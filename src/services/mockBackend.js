@@ -0,0 +1,310 @@
+// src/services/mockBackend.js
+// An axios adapter that answers every ApiService endpoint from the fixtures in
+// mockFixtures.js, so the UI runs without the Laravel API. Turned on by
+// EnvironmentConfig.useMockApi(). Changes are kept in memory until reload.
+import { AxiosError } from 'axios';
+import * as fixtures from './mockFixtures';
+
+const LATENCY = 300;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const db = {
+  store: clone(fixtures.store),
+  settings: clone(fixtures.settings),
+  locations: clone(fixtures.locations),
+  lowStockItems: clone(fixtures.lowStockItems),
+  stats: clone(fixtures.stats),
+  suppliers: clone(fixtures.suppliers),
+  itemStatuses: clone(fixtures.itemStatuses),
+  alerts: clone(fixtures.alerts),
+  purchaseOrders: clone(fixtures.purchaseOrders),
+  adjustments: clone(fixtures.adjustments),
+  charges: {},
+};
+
+let nextId = 10000;
+
+const sameId = (a, b) => String(a) === String(b);
+
+const notFound = (what) => ({ status: 404, data: { error: `${what} not found` } });
+
+// [method, path pattern, handler({ params, query, body })]
+const routes = [
+  ['get', /^\/store$/, () => ({ data: { store: db.store } })],
+
+  ['post', /^\/setup$/, ({ body }) => {
+    db.settings = { ...db.settings, ...body };
+    db.store.setup_completed = true;
+    return { data: { success: true, settings: db.settings } };
+  }],
+
+  // Any address containing "fail" bounces, so the failure path can be tried out
+  ['post', /^\/setup\/test-alert$/, ({ body }) => {
+    const recipients = (body.recipients || []).map((recipient) => recipient.email);
+    const failed = recipients.filter((email) => email.includes('fail'));
+    const now = new Date().toISOString();
+    const alert = {
+      id: nextId++,
+      channel: 'email',
+      recipients,
+      item_count: 0,
+      status: failed.length === 0 ? 'delivered' : failed.length < recipients.length ? 'partial' : 'failed',
+      error: failed.length ? `Mailbox unavailable: ${failed.join(', ')}` : null,
+      sent_at: now,
+      created_at: now,
+      test: true,
+    };
+    db.alerts.unshift(alert);
+    return { data: { alert } };
+  }],
+
+  // There's no Shopify approval page here: the charge is approved on the spot
+  // and the merchant sent straight back. Edit charge_id in the return URL to
+  // try the declined path.
+  ['post', /^\/billing\/subscribe$/, ({ body }) => {
+    const chargeId = String(nextId++);
+    db.charges[chargeId] = body.plan;
+
+    const url = new URL(body.return_url);
+    url.searchParams.set('charge_id', chargeId);
+    return { data: { confirmation_url: url.toString() } };
+  }],
+
+  ['post', /^\/billing\/confirm$/, ({ body }) => {
+    const plan = db.charges[body.charge_id];
+    if (!plan) return { data: { status: 'declined', store: db.store } };
+
+    delete db.charges[body.charge_id];
+    db.store.plan = plan;
+    return { data: { status: 'active', store: db.store } };
+  }],
+
+  ['post', /^\/billing\/cancel$/, () => {
+    db.store.plan = 'free';
+    return { data: { status: 'cancelled', store: db.store } };
+  }],
+
+  ['get', /^\/settings$/, () => ({ data: { settings: db.settings } })],
+
+  ['put', /^\/settings$/, ({ body }) => {
+    db.settings = { ...db.settings, ...body };
+    db.stats.threshold = db.settings.threshold;
+    return { data: { settings: db.settings } };
+  }],
+
+  ['get', /^\/locations$/, () => ({ data: { locations: db.locations } })],
+
+  ['get', /^\/dashboard\/low-stock$/, () => ({
+    data: { low_stock_items: db.lowStockItems, stats: db.stats },
+  })],
+
+  ['get', /^\/dashboard\/stats$/, () => ({
+    data: { stats: { ...db.stats, total_low_stock: db.lowStockItems.length } },
+  })],
+
+  ['get', /^\/dashboard\/trend$/, ({ query }) => {
+    const days = Number(query.get('days')) || 30;
+    return {
+      data: {
+        trend: fixtures.buildTrend(days),
+        products: db.lowStockItems.map((item) => ({
+          ...item,
+          history: fixtures.buildProductHistory(item, days),
+        })),
+      },
+    };
+  }],
+
+  ['get', /^\/dashboard\/item-statuses$/, () => ({ data: { statuses: db.itemStatuses } })],
+
+  ['post', /^\/dashboard\/item-statuses$/, ({ body }) => {
+    const { variant_ids: variantIds, ...status } = body;
+    const entries = variantIds.map((variantId) => {
+      const item = db.lowStockItems.find((i) => sameId(i.variant_id, variantId)) || {};
+      return {
+        variant_id: variantId,
+        product_name: item.product_name,
+        variant_name: item.variant_name,
+        sku: item.sku,
+        ...status,
+      };
+    });
+    db.itemStatuses = [
+      ...db.itemStatuses.filter((entry) => !variantIds.some((id) => sameId(id, entry.variant_id))),
+      ...entries,
+    ];
+    return { data: { statuses: entries } };
+  }],
+
+  ['post', /^\/dashboard\/item-statuses\/clear$/, ({ body }) => {
+    db.itemStatuses = db.itemStatuses.filter(
+      (entry) => !body.variant_ids.some((id) => sameId(id, entry.variant_id))
+    );
+    return { data: { success: true } };
+  }],
+
+  ['get', /^\/alerts\/history$/, ({ query }) => {
+    const page = Number(query.get('page')) || 1;
+    const perPage = Number(query.get('per_page')) || 20;
+    const alerts = db.alerts.slice((page - 1) * perPage, page * perPage);
+    return {
+      data: {
+        // The list leaves out the items; the detail endpoint has them
+        alerts: alerts.map(({ items, ...alert }) => alert),
+        pagination: {
+          page,
+          per_page: perPage,
+          total: db.alerts.length,
+          total_pages: Math.max(1, Math.ceil(db.alerts.length / perPage)),
+        },
+      },
+    };
+  }],
+
+  ['get', /^\/alerts\/history\/([^/]+)$/, ({ params }) => {
+    const alert = db.alerts.find((a) => sameId(a.id, params[0]));
+    return alert ? { data: { alert } } : notFound('Alert');
+  }],
+
+  ['post', /^\/notifications\/test$/, ({ body }) => ({
+    data: { success: true, message: `Test alert sent to ${body.channel?.type || 'channel'}` },
+  })],
+
+  ['post', /^\/inventory\/adjust$/, ({ body }) => {
+    const items = body.adjustments.map((adjustment) => {
+      const item = db.lowStockItems.find((i) => sameId(i.variant_id, adjustment.variant_id));
+      if (!item) return null;
+
+      const levels = item.inventory_levels.map((level) => {
+        if (adjustment.location_id && !sameId(level.location_id, adjustment.location_id)) return level;
+        const available = adjustment.mode === 'set'
+          ? adjustment.quantity
+          : level.available + adjustment.quantity;
+        return { ...level, available };
+      });
+      const before = item.stock_quantity;
+      Object.assign(item, {
+        inventory_levels: levels,
+        stock_quantity: levels.reduce((sum, level) => sum + level.available, 0),
+      });
+      db.adjustments.push({
+        id: nextId++,
+        variant_id: item.variant_id,
+        type: 'adjustment',
+        quantity: item.stock_quantity - before,
+        reason: adjustment.reason,
+        note: adjustment.note || null,
+        location_name: db.locations.find((location) => sameId(location.id, adjustment.location_id))?.name || null,
+        created_at: new Date().toISOString(),
+      });
+      return item;
+    }).filter(Boolean);
+
+    return { data: { items } };
+  }],
+
+  ['get', /^\/variants\/([^/]+)\/activity$/, ({ params, query }) => {
+    const item = db.lowStockItems.find((i) => sameId(i.variant_id, params[0]));
+    if (!item) return notFound('Variant');
+
+    const days = Number(query.get('days')) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const movements = [
+      ...fixtures.buildProductSales(item, days),
+      ...db.adjustments.filter((entry) => sameId(entry.variant_id, item.variant_id) && entry.created_at >= since),
+    ].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    return {
+      data: {
+        item,
+        history: fixtures.buildProductHistory(item, days),
+        movements,
+        alerts: db.alerts.filter((alert) => (alert.items || []).some((i) => sameId(i.variant_id, item.variant_id))),
+      },
+    };
+  }],
+
+  ['get', /^\/suppliers$/, () => ({ data: { suppliers: db.suppliers } })],
+
+  ['post', /^\/suppliers$/, ({ body }) => {
+    const supplier = { ...body, id: nextId++ };
+    db.suppliers.push(supplier);
+    return { status: 201, data: { supplier } };
+  }],
+
+  ['put', /^\/suppliers\/([^/]+)$/, ({ params, body }) => {
+    const supplier = db.suppliers.find((s) => sameId(s.id, params[0]));
+    if (!supplier) return notFound('Supplier');
+    Object.assign(supplier, body);
+    return { data: { supplier } };
+  }],
+
+  ['delete', /^\/suppliers\/([^/]+)$/, ({ params }) => {
+    db.suppliers = db.suppliers.filter((s) => !sameId(s.id, params[0]));
+    return { data: { success: true } };
+  }],
+
+  ['get', /^\/purchase-orders$/, () => ({ data: { purchase_orders: db.purchaseOrders } })],
+
+  ['post', /^\/purchase-orders$/, ({ body }) => {
+    const orders = body.orders.map((order) => ({ ...order, id: nextId++ }));
+    db.purchaseOrders.push(...orders);
+    return { status: 201, data: { purchase_orders: orders } };
+  }],
+
+  ['put', /^\/purchase-orders\/([^/]+)$/, ({ params, body }) => {
+    const order = db.purchaseOrders.find((o) => sameId(o.id, params[0]));
+    if (!order) return notFound('Purchase order');
+    Object.assign(order, body);
+    return { data: { purchase_order: order } };
+  }],
+
+  ['delete', /^\/purchase-orders\/([^/]+)$/, ({ params }) => {
+    db.purchaseOrders = db.purchaseOrders.filter((o) => !sameId(o.id, params[0]));
+    return { data: { success: true } };
+  }],
+
+  ['get', /^\/health$/, () => ({ data: { status: 'ok', mock: true } })],
+];
+
+async function handleMockRequest(config) {
+  await new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+  const url = new URL(config.url, 'http://mock.local');
+  const method = (config.method || 'get').toLowerCase();
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data || {};
+
+  let result = { status: 404, data: { error: `No mock for ${method.toUpperCase()} ${url.pathname}` } };
+  for (const [routeMethod, pattern, handler] of routes) {
+    const match = routeMethod === method && url.pathname.match(pattern);
+    if (match) {
+      result = handler({ params: match.slice(1), query: url.searchParams, body });
+      break;
+    }
+  }
+
+  const response = {
+    data: clone(result.data),
+    status: result.status || 200,
+    statusText: 'OK',
+    headers: {},
+    config,
+    request: {},
+  };
+
+  if (response.status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+}
+
+export {
+  handleMockRequest
+};
@@ -0,0 +1,309 @@
+// src/services/mockFixtures.js
+// Sample data for the mock backend (see mockBackend.js). Shapes follow the
+// response schemas in schemas.js.
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const store = {
+  id: 1,
+  name: 'Demo Store',
+  shop_domain: 'demo-store.myshopify.com',
+  email: 'owner@demo-store.test',
+  plan: 'free',
+  iana_timezone: 'America/New_York',
+  setup_completed: true,
+};
+
+const locations = [
+  { id: 101, name: 'Main warehouse' },
+  { id: 102, name: 'Downtown shop' },
+];
+
+const level = (location, available) => ({
+  location_id: location.id,
+  location_name: location.name,
+  available,
+});
+
+const adminUrl = (productId) => `https://admin.shopify.com/store/demo-store/products/${productId}`;
+
+const lowStockItems = [
+  {
+    variant_id: 5001,
+    product_id: 401,
+    inventory_item_id: 9001,
+    product_name: 'Merino Wool Beanie',
+    variant_name: 'Charcoal',
+    sku: 'BEANIE-CHR',
+    vendor: 'Northern Knits',
+    product_type: 'Accessories',
+    stock_quantity: 3,
+    inventory_levels: [level(locations[0], 2), level(locations[1], 1)],
+    average_daily_sales: 1.4,
+    shopify_admin_url: adminUrl(401),
+  },
+  {
+    variant_id: 5002,
+    product_id: 401,
+    inventory_item_id: 9002,
+    product_name: 'Merino Wool Beanie',
+    variant_name: 'Forest',
+    sku: 'BEANIE-FOR',
+    vendor: 'Northern Knits',
+    product_type: 'Accessories',
+    stock_quantity: 8,
+    inventory_levels: [level(locations[0], 6), level(locations[1], 2)],
+    average_daily_sales: 0.6,
+    shopify_admin_url: adminUrl(401),
+  },
+  {
+    variant_id: 5003,
+    product_id: 402,
+    inventory_item_id: 9003,
+    product_name: 'Ceramic Pour-Over Set',
+    variant_name: null,
+    sku: 'POUR-01',
+    vendor: 'Kiln & Co',
+    product_type: 'Kitchen',
+    stock_quantity: 0,
+    inventory_levels: [level(locations[0], 0), level(locations[1], 0)],
+    average_daily_sales: 0.9,
+    shopify_admin_url: adminUrl(402),
+  },
+  {
+    variant_id: 5004,
+    product_id: 403,
+    inventory_item_id: 9004,
+    product_name: 'Linen Apron',
+    variant_name: 'Sand / One size',
+    sku: 'APRON-SND',
+    vendor: 'Kiln & Co',
+    product_type: 'Kitchen',
+    stock_quantity: 5,
+    inventory_levels: [level(locations[0], 5)],
+    units_sold: 12,
+    sales_window_days: 30,
+    shopify_admin_url: adminUrl(403),
+  },
+  {
+    variant_id: 5005,
+    product_id: 404,
+    inventory_item_id: 9005,
+    product_name: 'Trail Running Socks',
+    variant_name: 'M',
+    sku: 'SOCK-TR-M',
+    vendor: 'Stride Supply',
+    product_type: 'Apparel',
+    stock_quantity: 9,
+    inventory_levels: [level(locations[0], 4), level(locations[1], 5)],
+    average_daily_sales: 2.5,
+    shopify_admin_url: adminUrl(404),
+  },
+  {
+    variant_id: 5006,
+    product_id: 405,
+    inventory_item_id: 9006,
+    product_name: 'Holiday Candle',
+    variant_name: 'Cinnamon',
+    sku: 'CANDLE-CIN',
+    vendor: 'Wick House',
+    product_type: 'Home',
+    stock_quantity: 2,
+    inventory_levels: [level(locations[0], 2)],
+    average_daily_sales: 0,
+    shopify_admin_url: adminUrl(405),
+  },
+];
+
+const stats = {
+  threshold: 10,
+  total_products: 148,
+  last_check: new Date(Date.now() - 2 * 60 * 60 * 1000).toLocaleString(),
+};
+
+const settings = {
+  threshold: 10,
+  cover_alert_enabled: true,
+  cover_alert_days: 7,
+  notify_email: 'owner@demo-store.test',
+  recipients: [
+    {
+      id: 'recipient-1',
+      email: 'owner@demo-store.test',
+      subscribed: true,
+      filters: { critical_only: false, vendors: [], locations: [] },
+    },
+  ],
+  schedule: {
+    frequency: 'daily',
+    time: '09:00',
+    weekday: '1',
+    timezone: 'America/New_York',
+    quiet_hours: { enabled: false, start: '22:00', end: '07:00' },
+  },
+  threshold_overrides: [
+    { scope: 'vendor', value: 'Wick House', label: 'Wick House', threshold: 5 },
+  ],
+  notification_channels: [],
+  alert_location_ids: [],
+  location_thresholds: {},
+  reorder: {
+    default_lead_time_days: 14,
+    safety_stock_days: 7,
+    review_period_days: 14,
+    vendor_terms: [{ vendor: 'Kiln & Co', lead_time_days: 21, min_order_quantity: 12 }],
+  },
+};
+
+const suppliers = [
+  {
+    id: 1,
+    name: 'Northern Knits Ltd',
+    email: 'orders@northernknits.test',
+    lead_time_days: 10,
+    vendors: ['Northern Knits'],
+    products: [],
+  },
+  {
+    id: 2,
+    name: 'Stride Supply',
+    email: 'wholesale@stride.test',
+    lead_time_days: null,
+    vendors: ['Stride Supply'],
+    products: [{ id: 'gid://shopify/Product/404', title: 'Trail Running Socks' }],
+  },
+];
+
+const itemStatuses = [
+  {
+    variant_id: 5006,
+    product_name: 'Holiday Candle',
+    variant_name: 'Cinnamon',
+    sku: 'CANDLE-CIN',
+    status: 'snoozed',
+    until_restocked: false,
+    snoozed_until: daysFromNow(30),
+  },
+];
+
+// One point per day, drifting so the charts have something to show
+const adjustments = [
+  {
+    id: 3001,
+    variant_id: lowStockItems[0].variant_id,
+    type: 'adjustment',
+    quantity: -2,
+    reason: 'damaged',
+    note: 'Crushed in transit',
+    location_name: locations[0].name,
+    created_at: daysAgo(9),
+  },
+  {
+    id: 3002,
+    variant_id: lowStockItems[1].variant_id,
+    type: 'adjustment',
+    quantity: -3,
+    reason: 'correction',
+    note: 'Cycle count',
+    location_name: locations[1].name,
+    created_at: daysAgo(16),
+  },
+];
+
+function buildTrend(days) {
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(Date.now() - (days - 1 - index) * DAY);
+    const wave = Math.round(3 * Math.sin(index / 4));
+    return {
+      date: date.toISOString().slice(0, 10),
+      total_low_stock: Math.max(0, 5 + wave + Math.floor(index / 10)),
+      critically_low: Math.max(0, 2 + Math.round(wave / 2)),
+    };
+  });
+}
+
+function buildProductHistory(item, days) {
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(Date.now() - (days - 1 - index) * DAY);
+    const sold = Math.round((item.average_daily_sales ?? 0.4) * (days - 1 - index));
+    return { date: date.toISOString().slice(0, 10), stock_quantity: item.stock_quantity + sold };
+  });
+}
+
+// Units sold each day, as sale movements that add up to buildProductHistory
+function buildProductSales(item, days) {
+  const history = buildProductHistory(item, days);
+  return history.slice(1)
+    .map((point, index) => ({
+      id: `sale-${item.variant_id}-${point.date}`,
+      type: 'sale',
+      quantity: point.stock_quantity - history[index].stock_quantity,
+      created_at: `${point.date}T18:00:00.000Z`,
+    }))
+    .filter((movement) => movement.quantity < 0);
+}
+
+const alertItems = (items) =>
+  items.map(({ variant_id, product_name, variant_name, sku, stock_quantity }) => ({
+    variant_id,
+    product_name,
+    variant_name,
+    sku,
+    stock_quantity,
+    threshold: 10,
+  }));
+
+const alerts = Array.from({ length: 45 }, (_, index) => {
+  const failed = index % 11 === 3;
+  const items = alertItems(lowStockItems.slice(0, 2 + (index % 4)));
+  return {
+    id: 1000 - index,
+    channel: index % 5 === 0 ? 'slack' : 'email',
+    recipients: index % 5 === 0 ? [] : ['owner@demo-store.test'],
+    item_count: items.length,
+    status: failed ? 'failed' : 'delivered',
+    error: failed ? 'SMTP server rejected the message (550 mailbox unavailable)' : null,
+    sent_at: daysAgo(index),
+    created_at: daysAgo(index),
+    items,
+  };
+});
+
+const purchaseOrders = [
+  {
+    id: 1,
+    vendor: 'Northern Knits',
+    supplier_id: 1,
+    supplier_name: 'Northern Knits Ltd',
+    status: 'draft',
+    note: '',
+    lines: [
+      {
+        variant_id: 5001,
+        product_name: 'Merino Wool Beanie',
+        variant_name: 'Charcoal',
+        sku: 'BEANIE-CHR',
+        stock_quantity: 3,
+        quantity: 40,
+      },
+    ],
+  },
+];
+
+export {
+  store,
+  locations,
+  lowStockItems,
+  stats,
+  settings,
+  suppliers,
+  itemStatuses,
+  alerts,
+  purchaseOrders,
+  adjustments,
+  buildTrend,
+  buildProductHistory,
+  buildProductSales
+};
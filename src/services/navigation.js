@@ -0,0 +1,72 @@
+// src/services/navigation.js
+import { useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// Query parameters Shopify opens the app with. App Bridge and the API need
+// shop and host on every page; embedded and locale keep the admin context.
+const APP_PARAMS = ['shop', 'host', 'embedded', 'locale'];
+
+// Pages in the admin sidebar and the standalone navigation, in order
+const NAV_LINKS = [
+  { path: '/dashboard', label: 'nav.dashboard' },
+  { path: '/trends', label: 'nav.trends' },
+  { path: '/purchase-orders', label: 'nav.purchaseOrders' },
+  { path: '/suppliers', label: 'nav.suppliers' },
+  { path: '/alert-history', label: 'nav.alertHistory' },
+  { path: '/settings', label: 'nav.settings' },
+  { path: '/plans', label: 'nav.plans' },
+];
+
+// '/settings' -> '/settings?shop=...&host=...'. Parameters already on the path win.
+function withAppParams(path, search = window.location.search) {
+  const current = new URLSearchParams(search);
+  const url = new URL(path, window.location.origin);
+
+  APP_PARAMS.forEach((key) => {
+    if (current.has(key) && !url.searchParams.has(key)) {
+      url.searchParams.set(key, current.get(key));
+    }
+  });
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+// useNavigate that carries the app parameters to the next page
+function useAppNavigate() {
+  const navigate = useNavigate();
+  return useCallback((path, options) => navigate(withAppParams(path), options), [navigate]);
+}
+
+// A page with unsaved changes can hold up the app's navigation. The guard is
+// given a function that carries on to where the merchant was going, to call
+// once they agree to leave. Returns a function that removes the guard.
+let navigationGuard = null;
+
+function setNavigationGuard(guard) {
+  navigationGuard = guard;
+  return () => {
+    if (navigationGuard === guard) navigationGuard = null;
+  };
+}
+
+// useAppNavigate for the shared navigation, which asks the page's guard first
+function useGuardedNavigate() {
+  const navigate = useAppNavigate();
+  return useCallback((path, options) => {
+    const proceed = () => navigate(path, options);
+    if (navigationGuard) {
+      navigationGuard(proceed);
+    } else {
+      proceed();
+    }
+  }, [navigate]);
+}
+
+export {
+  APP_PARAMS,
+  NAV_LINKS,
+  withAppParams,
+  useAppNavigate,
+  setNavigationGuard,
+  useGuardedNavigate
+};
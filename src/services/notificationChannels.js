@@ -0,0 +1,127 @@
+// src/services/notificationChannels.js
+import { t } from './i18n';
+
+// Labels and help text live in the catalogs under channels.types and
+// channels.fields; fieldText() looks them up. validate returns an error key.
+const CHANNEL_TYPES = {
+  slack: {
+    label: 'Slack',
+    fields: [
+      {
+        key: 'webhook_url',
+        placeholder: 'https://hooks.slack.com/services/...',
+        validate: (value) =>
+          (/^https:\/\/hooks\.slack\.com\/services\/\S+$/.test(value) ? null : 'slackUrl'),
+      },
+    ],
+  },
+  sms: {
+    label: 'SMS',
+    fields: [
+      {
+        key: 'phone_number',
+        placeholder: '+15551234567',
+        hasHelpText: true,
+        validate: (value) =>
+          (/^\+[1-9]\d{6,14}$/.test(value.replace(/[\s()-]/g, '')) ? null : 'phoneNumber'),
+      },
+    ],
+  },
+  webhook: {
+    label: 'Webhook',
+    fields: [
+      {
+        key: 'url',
+        placeholder: 'https://example.com/hooks/low-stock',
+        validate: (value) => (/^https:\/\/\S+$/.test(value) ? null : 'httpsUrl'),
+      },
+      {
+        key: 'secret',
+        type: 'password',
+        hasHelpText: true,
+        optional: true,
+      },
+    ],
+  },
+};
+
+// A saved channel can have a type this version doesn't know, from an older or
+// newer backend. It's kept as it is and can be switched off or removed, not edited.
+const isKnownChannelType = (type) => Object.hasOwn(CHANNEL_TYPES, type);
+
+const getChannelTypeLabel = (type) =>
+  (isKnownChannelType(type) ? CHANNEL_TYPES[type].label : t('channels.unknownType'));
+
+const getChannelTypeOptions = () => Object.entries(CHANNEL_TYPES).map(([value, type]) => ({
+  label: type.label,
+  value,
+}));
+
+const describeChannelType = (type) => t(`channels.types.${type}`);
+
+// { label, helpText } for one of a channel type's config fields
+const fieldText = (field) => ({
+  label: t(`channels.fields.${field.key}.label`),
+  helpText: field.hasHelpText ? t(`channels.fields.${field.key}.help`) : undefined,
+});
+
+function createChannel(type = 'slack') {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    name: '',
+    enabled: true,
+    config: Object.fromEntries(CHANNEL_TYPES[type].fields.map((field) => [field.key, ''])),
+  };
+}
+
+// Returns { field: message } for every invalid field, empty when the channel is valid
+function validateChannel(channel) {
+  const errors = {};
+  if (!channel.name.trim()) {
+    errors.name = t('channels.errors.name');
+  }
+
+  CHANNEL_TYPES[channel.type].fields.forEach((field) => {
+    const value = (channel.config[field.key] || '').trim();
+    if (!value) {
+      if (!field.optional) errors[field.key] = t('channels.errors.required', { field: fieldText(field).label });
+      return;
+    }
+    const error = field.validate?.(value);
+    if (error) errors[field.key] = t(`channels.errors.${error}`);
+  });
+
+  return errors;
+}
+
+// Short, non-secret description of where a channel sends to
+function describeChannel(channel) {
+  const { config = {} } = channel;
+  switch (channel.type) {
+    case 'slack':
+      return t('channels.slackWebhook');
+    case 'sms':
+      return config.phone_number;
+    case 'webhook':
+      try {
+        return new URL(config.url).host;
+      } catch {
+        return config.url;
+      }
+    default:
+      return '';
+  }
+}
+
+export {
+  CHANNEL_TYPES,
+  isKnownChannelType,
+  getChannelTypeLabel,
+  getChannelTypeOptions,
+  describeChannelType,
+  fieldText,
+  createChannel,
+  validateChannel,
+  describeChannel
+};
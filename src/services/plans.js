@@ -0,0 +1,55 @@
+// src/services/plans.js
+import { t, formatNumber, formatList } from './i18n';
+
+// Cheapest first. Each plan lists the features it adds to the ones below it.
+// Prices are USD per 30 days, billed by Shopify as a recurring application
+// charge; the backend keeps the same table and is what actually charges.
+const PLANS = [
+  { id: 'free', price: 0, trialDays: 0, features: ['dashboard', 'emailAlerts', 'alertHistory'] },
+  { id: 'pro', price: 9.99, trialDays: 7, features: ['trends', 'export', 'notificationChannels'] },
+  { id: 'plus', price: 24.99, trialDays: 7, features: ['purchaseOrders', 'suppliers'] },
+];
+
+const DEFAULT_PLAN = PLANS[0].id;
+
+// Plans the app doesn't know, e.g. one retired since, get free features
+const planRank = (planId) => Math.max(PLANS.findIndex((plan) => plan.id === planId), 0);
+
+const getPlan = (planId) => PLANS[planRank(planId)];
+
+// The cheapest plan with the feature; null for features every plan has
+const requiredPlan = (feature) => PLANS.find((plan) => plan.features.includes(feature)) || null;
+
+function hasFeature(planId, feature) {
+  const plan = requiredPlan(feature);
+  return !plan || planRank(planId) >= planRank(plan.id);
+}
+
+// The plan to suggest next, or null on the top one
+const nextPlan = (planId) => PLANS[planRank(planId) + 1] || null;
+
+const planName = (plan) => t(`plans.names.${plan.id}`);
+
+const featureName = (feature) => t(`plans.features.${feature}`);
+
+const describeFeatures = (plan) => formatList(plan.features.map(featureName));
+
+function formatPrice(plan) {
+  if (!plan.price) return t('plans.freePrice');
+  return t('plans.perMonth', {
+    price: formatNumber(plan.price, { style: 'currency', currency: 'USD' }),
+  });
+}
+
+export {
+  PLANS,
+  DEFAULT_PLAN,
+  getPlan,
+  requiredPlan,
+  hasFeature,
+  nextPlan,
+  planName,
+  featureName,
+  describeFeatures,
+  formatPrice
+};
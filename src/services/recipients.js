@@ -0,0 +1,76 @@
+// src/services/recipients.js
+import { t, formatList } from './i18n';
+
+// Deliberately loose: one @, no spaces, and a dot in the domain. The backend
+// does the authoritative check when it sends.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const isValidEmail = (email) => email.length <= 254 && EMAIL_PATTERN.test(email);
+
+function createRecipient(email = '') {
+  return {
+    id: crypto.randomUUID(),
+    email,
+    subscribed: true,
+    filters: {
+      critical_only: false,
+      vendors: [],
+      locations: [],
+    },
+  };
+}
+
+// Stores set up before recipients existed only have notify_email
+function normalizeRecipients(settings = {}) {
+  if (Array.isArray(settings.recipients)) {
+    return settings.recipients.map((recipient) => ({
+      ...createRecipient(),
+      ...recipient,
+      filters: { ...createRecipient().filters, ...recipient.filters },
+    }));
+  }
+  return settings.notify_email ? [createRecipient(settings.notify_email)] : [];
+}
+
+// Returns { [recipient id]: message } for every invalid or duplicate address
+function validateRecipients(recipients) {
+  const errors = {};
+  const seen = new Set();
+
+  recipients.forEach((recipient) => {
+    const email = recipient.email.trim().toLowerCase();
+    if (!isValidEmail(email)) {
+      errors[recipient.id] = t('recipients.invalidEmail');
+    } else if (seen.has(email)) {
+      errors[recipient.id] = t('recipients.duplicateEmail');
+    }
+    seen.add(email);
+  });
+
+  return errors;
+}
+
+// Payload for the settings API. notify_email is still sent for older backends.
+function toRecipientSettings(recipients) {
+  const trimmed = recipients.map((recipient) => ({ ...recipient, email: recipient.email.trim() }));
+  const primary = trimmed.find((recipient) => recipient.subscribed) || trimmed[0];
+  return { recipients: trimmed, notify_email: primary?.email || '' };
+}
+
+// "Critical items only, vendors: Acme"
+function describeRecipientFilters({ filters }) {
+  const parts = [];
+  if (filters.critical_only) parts.push(t('recipients.criticalOnly'));
+  if (filters.vendors.length) parts.push(t('recipients.vendorsFilter', { values: formatList(filters.vendors) }));
+  if (filters.locations.length) parts.push(t('recipients.locationsFilter', { values: formatList(filters.locations) }));
+  return parts.length ? parts.join(', ') : t('recipients.allAlerts');
+}
+
+export {
+  isValidEmail,
+  createRecipient,
+  normalizeRecipients,
+  validateRecipients,
+  toRecipientSettings,
+  describeRecipientFilters
+};
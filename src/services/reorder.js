@@ -0,0 +1,90 @@
+// src/services/reorder.js
+import { getDailyVelocity } from './forecast';
+import { t } from './i18n';
+
+const DEFAULT_REORDER_SETTINGS = {
+  default_lead_time_days: 14,
+  safety_stock_days: 7,
+  review_period_days: 14,
+  vendor_terms: [],
+};
+
+// The backend sends null for settings and vendor terms nobody has set up
+function normalizeReorderSettings(settings) {
+  return { ...DEFAULT_REORDER_SETTINGS, ...settings, vendor_terms: settings?.vendor_terms || [] };
+}
+
+// Lead time and minimum order quantity for an item's vendor, falling back to the store default.
+// A lead time on the item's supplier beats the vendor terms.
+function getVendorTerms(item, reorderSettings) {
+  const settings = normalizeReorderSettings(reorderSettings);
+  const vendor = (item.vendor || '').toLowerCase();
+  const terms = settings.vendor_terms.find((entry) => (entry.vendor || '').toLowerCase() === vendor) || {};
+  const supplierLeadTime = item.supplier?.lead_time_days;
+
+  return {
+    lead_time_days: Number(
+      supplierLeadTime ?? terms.lead_time_days ?? settings.default_lead_time_days
+    ) || 0,
+    min_order_quantity: Number(terms.min_order_quantity) || 0,
+  };
+}
+
+// Enough stock to cover sales through the supplier's lead time and the next
+// review period, plus safety stock. Items without sales history are brought
+// back up to twice their threshold instead.
+function suggestReorderQuantity(item, reorderSettings) {
+  const settings = normalizeReorderSettings(reorderSettings);
+  const { lead_time_days: leadTime, min_order_quantity: minOrder } = getVendorTerms(item, settings);
+  const velocity = item.velocity ?? getDailyVelocity(item);
+
+  const target = velocity > 0
+    ? velocity * (leadTime + Number(settings.review_period_days) + Number(settings.safety_stock_days))
+    : (Number(item.threshold) || 0) * 2;
+
+  const needed = Math.ceil(target - Math.max(0, item.stock_quantity));
+  if (needed <= 0) return 0;
+  return Math.max(needed, minOrder);
+}
+
+// One draft purchase order per supplier (or vendor, for items without a supplier),
+// with a line for every item that needs reordering
+function buildDraftOrders(items, reorderSettings) {
+  const orders = new Map();
+
+  items.forEach((item) => {
+    const quantity = item.reorder_quantity ?? suggestReorderQuantity(item, reorderSettings);
+    if (quantity <= 0) return;
+
+    const vendor = item.vendor || t('reorder.noVendor');
+    const key = item.supplier ? `supplier:${item.supplier.id}` : `vendor:${vendor}`;
+    if (!orders.has(key)) {
+      orders.set(key, {
+        vendor,
+        supplier_id: item.supplier?.id ?? null,
+        supplier_name: item.supplier?.name ?? null,
+        status: 'draft',
+        note: '',
+        lines: [],
+      });
+    }
+    orders.get(key).lines.push({
+      variant_id: item.variant_id,
+      product_name: item.product_name,
+      variant_name: item.variant_name,
+      sku: item.sku,
+      stock_quantity: item.stock_quantity,
+      quantity,
+    });
+  });
+
+  return [...orders.values()];
+}
+
+export {
+  DEFAULT_REORDER_SETTINGS,
+  normalizeReorderSettings,
+  getVendorTerms,
+  suggestReorderQuantity,
+  buildDraftOrders
+};
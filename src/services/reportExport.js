@@ -0,0 +1,151 @@
+// src/services/reportExport.js
+import { t, formatDate, formatDateTime } from './i18n';
+
+// Column headings are looked up under exports.columns when a file is built
+const REPORT_COLUMNS = [
+  { key: 'product', value: (item) => item.product_name || '' },
+  { key: 'variant', value: (item) => item.variant_name || '' },
+  { key: 'sku', value: (item) => item.sku || '' },
+  { key: 'stockQuantity', value: (item) => item.stock_quantity, type: Number },
+  { key: 'threshold', value: (item) => item.threshold, type: Number },
+  { key: 'dailySales', value: (item) => item.velocity ?? null, type: Number },
+  { key: 'daysOfCover', value: (item) => (item.days_of_cover === null ? null : Math.floor(item.days_of_cover)), type: Number },
+  { key: 'projectedStockout', value: (item) => (item.stockout_date ? item.stockout_date.toISOString().slice(0, 10) : '') },
+  { key: 'suggestedReorder', value: (item) => item.reorder_quantity ?? null, type: Number },
+  { key: 'severity', value: (item) => item.severity || '' },
+  { key: 'adminUrl', value: (item) => item.shopify_admin_url || '' },
+];
+
+const PURCHASE_ORDER_COLUMNS = [
+  { key: 'product', value: (line) => line.product_name || '' },
+  { key: 'variant', value: (line) => line.variant_name || '' },
+  { key: 'sku', value: (line) => line.sku || '' },
+  { key: 'quantity', value: (line) => line.quantity },
+];
+
+const columnHeader = (column) => t(`exports.columns.${column.key}`);
+
+const slugify = (value) => (value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const buildFileName = (storeName, generatedAt, extension, prefix = 'low-stock') =>
+  `${prefix}-${slugify(storeName) || 'store'}-${generatedAt.toISOString().slice(0, 10)}.${extension}`;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const reportHeader = (storeName, generatedAt) => [
+  [t('exports.reportTitle')],
+  [t('exports.store'), storeName || ''],
+  [t('exports.generated'), formatDateTime(generatedAt)],
+  [],
+];
+
+const toCsvBlob = (rows) => {
+  const csv = rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n');
+  // BOM so Excel opens UTF-8 product names correctly
+  return new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+};
+
+function exportCsv(items, { storeName, generatedAt = new Date() } = {}) {
+  const rows = [
+    ...reportHeader(storeName, generatedAt),
+    REPORT_COLUMNS.map(columnHeader),
+    ...items.map((item) => REPORT_COLUMNS.map((column) => column.value(item))),
+  ];
+
+  downloadBlob(toCsvBlob(rows), buildFileName(storeName, generatedAt, 'csv'));
+}
+
+async function exportXlsx(items, { storeName, generatedAt = new Date() } = {}) {
+  // Loaded on demand, most sessions never export
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+
+  const sheetData = [
+    ...reportHeader(storeName, generatedAt).map((row, index) =>
+      row.map((value) => ({ value, fontWeight: index === 0 ? 'bold' : undefined }))
+    ),
+    REPORT_COLUMNS.map((column) => ({ value: columnHeader(column), fontWeight: 'bold' })),
+    ...items.map((item) =>
+      REPORT_COLUMNS.map((column) => ({ value: column.value(item), type: column.type || String }))
+    ),
+  ];
+
+  const blob = await writeExcelFile(sheetData, {
+    sheet: t('exports.sheet'),
+    columns: REPORT_COLUMNS.map((column) => ({ width: column.type ? 14 : 30 })),
+  }).toBlob();
+
+  downloadBlob(blob, buildFileName(storeName, generatedAt, 'xlsx'));
+}
+
+const purchaseOrderHeader = (order, storeName, generatedAt) => [
+  [t('exports.purchaseOrderTitle')],
+  [t('exports.store'), storeName || ''],
+  [t('exports.supplier'), order.supplier_name || order.vendor],
+  [t('exports.date'), formatDate(generatedAt)],
+  ...(order.note ? [[t('exports.note'), order.note]] : []),
+];
+
+function exportPurchaseOrderCsv(order, { storeName, generatedAt = new Date() } = {}) {
+  const rows = [
+    ...purchaseOrderHeader(order, storeName, generatedAt),
+    [],
+    PURCHASE_ORDER_COLUMNS.map(columnHeader),
+    ...order.lines.map((line) => PURCHASE_ORDER_COLUMNS.map((column) => column.value(line))),
+  ];
+
+  downloadBlob(toCsvBlob(rows), buildFileName(order.supplier_name || order.vendor, generatedAt, 'csv', 'purchase-order'));
+}
+
+async function exportPurchaseOrderPdf(order, { storeName, generatedAt = new Date() } = {}) {
+  // Loaded on demand, like the XLSX writer
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+  const doc = new jsPDF();
+  const [[title], ...details] = purchaseOrderHeader(order, storeName, generatedAt);
+
+  doc.setFontSize(16);
+  doc.text(title, 14, 20);
+  doc.setFontSize(10);
+  details.forEach(([label, value], index) => {
+    doc.text(`${label}: ${value}`, 14, 30 + index * 6);
+  });
+
+  autoTable(doc, {
+    startY: 36 + details.length * 6,
+    head: [PURCHASE_ORDER_COLUMNS.map(columnHeader)],
+    body: order.lines.map((line) => PURCHASE_ORDER_COLUMNS.map((column) => String(column.value(line)))),
+    foot: [['', '', t('exports.totalUnits'), String(order.lines.reduce((total, line) => total + Number(line.quantity), 0))]],
+    columnStyles: { 3: { halign: 'right' } },
+  });
+
+  downloadBlob(doc.output('blob'), buildFileName(order.supplier_name || order.vendor, generatedAt, 'pdf', 'purchase-order'));
+}
+
+export {
+  REPORT_COLUMNS,
+  PURCHASE_ORDER_COLUMNS,
+  downloadBlob,
+  exportCsv,
+  exportXlsx,
+  exportPurchaseOrderCsv,
+  exportPurchaseOrderPdf
+};
@@ -0,0 +1,285 @@
+// src/services/schemas.js
+import { z } from 'zod';
+
+// Response schemas for ApiService. Every response is checked at runtime and
+// normalized: numeric strings become numbers, missing lists become empty
+// arrays. Unknown fields are kept so the backend can add data without a
+// frontend release.
+
+class ApiValidationError extends Error {
+  constructor(url, issues) {
+    const [first] = issues;
+    super(`Unexpected response from ${url}: ${first.path.join('.') || 'body'} ${first.message}`);
+    this.name = 'ApiValidationError';
+    this.url = url;
+    this.issues = issues;
+  }
+}
+
+const id = z.union([z.string(), z.number()]);
+
+// Laravel often sends numbers as strings
+const number = z.coerce.number();
+const nullableNumber = z.preprocess(
+  (value) => (value === '' || value === undefined ? null : value),
+  z.coerce.number().nullable()
+);
+const text = z.string().nullable().optional();
+
+// Laravel sends booleans as 0/1
+const flag = z.preprocess((value) => value === true || value === 1 || value === '1' || value === 'true', z.boolean());
+
+const InventoryLevel = z.object({
+  location_id: id,
+  location_name: z.string().default(''),
+  available: number.default(0),
+}).passthrough();
+
+const LowStockItem = z.object({
+  variant_id: id,
+  product_id: id.optional(),
+  product_name: z.string().default(''),
+  variant_name: text,
+  sku: text,
+  vendor: text,
+  product_type: text,
+  stock_quantity: number.default(0),
+  inventory_levels: z.array(InventoryLevel).default([]),
+  average_daily_sales: nullableNumber.optional(),
+  shopify_admin_url: text,
+}).passthrough();
+
+const Stats = z.object({
+  threshold: nullableNumber.optional(),
+  last_check: text,
+}).passthrough();
+
+const Store = z.object({
+  name: z.string().default(''),
+  shop_domain: text,
+  setup_completed: flag.optional(),
+  iana_timezone: text,
+  // Stores that never subscribed come back with a null plan
+  plan: z.string().nullish().transform((value) => value ?? 'free'),
+}).passthrough();
+
+const Recipient = z.object({
+  id: id.optional(),
+  email: z.string().default(''),
+  subscribed: flag.default(true),
+  filters: z.object({
+    critical_only: flag.default(false),
+    vendors: z.array(z.string()).default([]),
+    locations: z.array(id).default([]),
+  }).passthrough().default({}),
+}).passthrough();
+
+// The API sends null for stores that never saved a schedule
+const Schedule = z.object({
+  frequency: z.string().optional(),
+  time: z.string().optional(),
+  weekday: id.optional(),
+  timezone: z.string().optional(),
+  quiet_hours: z.object({
+    enabled: flag.optional(),
+    start: z.string().optional(),
+    end: z.string().optional(),
+  }).passthrough().optional(),
+}).passthrough().nullable();
+
+const ThresholdOverride = z.object({
+  scope: z.string(),
+  value: id.nullable().optional(),
+  threshold: nullableNumber,
+}).passthrough();
+
+const NotificationChannel = z.object({
+  id: id.optional(),
+  type: z.string(),
+  name: z.string().default(''),
+  enabled: flag.default(true),
+  config: z.record(z.string().nullable()).default({}),
+}).passthrough();
+
+const VendorTerms = z.object({
+  vendor: text,
+  lead_time_days: nullableNumber.optional(),
+  min_order_quantity: nullableNumber.optional(),
+}).passthrough();
+
+const ReorderSettings = z.object({
+  default_lead_time_days: nullableNumber.optional(),
+  safety_stock_days: nullableNumber.optional(),
+  review_period_days: nullableNumber.optional(),
+  // normalizeReorderSettings turns a null into an empty list
+  vendor_terms: z.array(VendorTerms).nullable().optional(),
+}).passthrough().nullable();
+
+// recipients stays missing for stores that only have notify_email
+const Settings = z.object({
+  threshold: nullableNumber.optional(),
+  cover_alert_enabled: flag.optional(),
+  cover_alert_days: nullableNumber.optional(),
+  notify_email: text,
+  recipients: z.array(Recipient).optional(),
+  schedule: Schedule.optional(),
+  threshold_overrides: z.array(ThresholdOverride).default([]),
+  notification_channels: z.array(NotificationChannel).default([]),
+  alert_location_ids: z.array(id).default([]),
+  location_thresholds: z.record(nullableNumber).default({}),
+  reorder: ReorderSettings.optional(),
+}).passthrough();
+
+const Location = z.object({
+  id,
+  name: z.string().default(''),
+}).passthrough();
+
+const Supplier = z.object({
+  id,
+  name: z.string(),
+  email: z.string().default(''),
+  lead_time_days: nullableNumber.default(null),
+  vendors: z.array(z.string()).default([]),
+  products: z.array(z.object({ id, title: z.string().default('') }).passthrough()).default([]),
+}).passthrough();
+
+const ItemStatus = z.object({
+  variant_id: id,
+  status: z.enum(['acknowledged', 'snoozed', 'ignored']),
+  snoozed_until: text,
+  until_restocked: flag.default(false),
+  product_name: z.string().default(''),
+}).passthrough();
+
+const TrendPoint = z.object({
+  date: z.string(),
+  total_low_stock: number.default(0),
+  critically_low: number.default(0),
+}).passthrough();
+
+const StockLevelPoint = z.object({ date: z.string(), stock_quantity: number }).passthrough();
+
+const TrendProduct = LowStockItem.extend({
+  history: z.array(StockLevelPoint).default([]),
+});
+
+// quantity is the signed change: negative for sales, positive for restocks
+const StockMovement = z.object({
+  id,
+  type: z.string().default('adjustment'),
+  quantity: number.default(0),
+  reason: text,
+  note: text,
+  reference: text,
+  location_name: text,
+  created_at: z.string(),
+}).passthrough();
+
+const Alert = z.object({
+  id,
+  channel: z.string().default('email'),
+  recipients: z.array(z.string()).default([]),
+  item_count: number.default(0),
+  status: z.string().default('pending'),
+  error: text,
+  sent_at: text,
+  created_at: text,
+  items: z.array(LowStockItem.partial({ variant_id: true }).extend({ threshold: nullableNumber.optional() })).optional(),
+}).passthrough();
+
+const Pagination = z.object({
+  page: number.default(1),
+  per_page: number.optional(),
+  total: number.optional(),
+  total_pages: number.default(1),
+}).passthrough();
+
+const PurchaseOrderLine = z.object({
+  variant_id: id,
+  product_name: z.string().default(''),
+  quantity: number.default(0),
+}).passthrough();
+
+const PurchaseOrder = z.object({
+  id,
+  vendor: z.string().default(''),
+  supplier_id: id.nullable().optional(),
+  supplier_name: text,
+  status: z.string().default('draft'),
+  note: z.string().nullable().default(''),
+  lines: z.array(PurchaseOrderLine).default([]),
+}).passthrough();
+
+// Mutations only need to be objects; pages read back what they sent when fields are missing
+const Acknowledgement = z.object({}).passthrough();
+
+const responses = {
+  store: z.object({ store: Store }).passthrough(),
+  settings: z.object({ settings: Settings.default({}) }).passthrough(),
+  savedSettings: z.object({ settings: Settings.optional() }).passthrough(),
+  locations: z.object({ locations: z.array(Location).default([]) }).passthrough(),
+  lowStock: z.object({
+    low_stock_items: z.array(LowStockItem).default([]),
+    stats: Stats.default({}),
+  }).passthrough(),
+  stats: z.object({ stats: Stats.default({}) }).passthrough(),
+  trend: z.object({
+    trend: z.array(TrendPoint).default([]),
+    products: z.array(TrendProduct).default([]),
+  }).passthrough(),
+  itemStatuses: z.object({ statuses: z.array(ItemStatus).default([]) }).passthrough(),
+  alertHistory: z.object({
+    alerts: z.array(Alert).default([]),
+    pagination: Pagination.default({}),
+  }).passthrough(),
+  alert: z.object({ alert: Alert }).passthrough(),
+  testAlert: z.object({ alert: Alert }).passthrough(),
+  subscription: z.object({ confirmation_url: z.string().url() }).passthrough(),
+  billing: z.object({
+    status: z.string().default('active'),
+    store: Store,
+  }).passthrough(),
+  adjustment: z.object({ items: z.array(LowStockItem).default([]) }).passthrough(),
+  variantActivity: z.object({
+    item: LowStockItem,
+    history: z.array(StockLevelPoint).default([]),
+    movements: z.array(StockMovement).default([]),
+    alerts: z.array(Alert).default([]),
+  }).passthrough(),
+  suppliers: z.object({ suppliers: z.array(Supplier).default([]) }).passthrough(),
+  supplier: z.object({ supplier: Supplier }).passthrough(),
+  savedSupplier: z.object({ supplier: Supplier.optional() }).passthrough(),
+  purchaseOrders: z.object({ purchase_orders: z.array(PurchaseOrder).default([]) }).passthrough(),
+  savedPurchaseOrder: z.object({ purchase_order: PurchaseOrder.optional() }).passthrough(),
+  health: z.object({ status: z.string().optional() }).passthrough(),
+  streamTicket: z.object({ ticket: z.string() }).passthrough(),
+  inventoryEvent: z.object({
+    type: z.enum(['items', 'snapshot']).default('items'),
+    items: z.array(LowStockItem).default([]),
+    removed: z.array(id).default([]),
+    stats: Stats.optional(),
+  }).passthrough(),
+  acknowledgement: Acknowledgement,
+};
+
+// Validates response.data against a schema from `responses`. Cached responses
+// (see ApiService.get) keep their fromCache and cachedAt markers.
+function parseResponse(schema, url, response) {
+  if (!response) return null;
+
+  const result = schema.safeParse(response.data ?? {});
+  if (!result.success) {
+    throw new ApiValidationError(url, result.error.issues);
+  }
+
+  return response.fromCache
+    ? { ...result.data, fromCache: true, cachedAt: response.cachedAt }
+    : result.data;
+}
+
+export {
+  ApiValidationError,
+  responses,
+  parseResponse
+};
@@ -0,0 +1,96 @@
+// src/services/setupProgress.js
+import { getDefaultSchedule, normalizeSchedule } from './alertSchedule';
+import { createRecipient, validateRecipients } from './recipients';
+import { t } from './i18n';
+import { createLogger } from './logger';
+
+const log = createLogger('SetupProgress');
+
+const SETUP_STEPS = ['threshold', 'notifications', 'test', 'finish'];
+
+const storageKey = (shop) => `lsa:setup:${shop}`;
+
+// Stores from before the flag existed have already been through setup
+const isSetupComplete = (store) => store?.setup_completed !== false;
+
+function createSetupForm() {
+  return {
+    threshold: '10',
+    recipients: [createRecipient()],
+    schedule: getDefaultSchedule(),
+  };
+}
+
+// Where the merchant left the wizard, or a fresh start
+function loadProgress(shop) {
+  const fresh = { step: 1, formData: createSetupForm(), testAlert: null };
+
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(shop)));
+    if (!saved?.formData) return fresh;
+    return {
+      step: Math.min(Math.max(Number(saved.step) || 1, 1), SETUP_STEPS.length),
+      formData: {
+        ...fresh.formData,
+        ...saved.formData,
+        schedule: normalizeSchedule(saved.formData.schedule),
+      },
+      testAlert: saved.testAlert || null,
+    };
+  } catch (error) {
+    log.warn('Ignoring unreadable setup progress', error);
+    return fresh;
+  }
+}
+
+function saveProgress(shop, progress) {
+  try {
+    window.localStorage.setItem(storageKey(shop), JSON.stringify(progress));
+  } catch (error) {
+    // Storage full or blocked; the wizard still works, it just won't resume
+    log.warn('Could not save setup progress', error);
+  }
+}
+
+function clearProgress(shop) {
+  try {
+    window.localStorage.removeItem(storageKey(shop));
+  } catch (error) {
+    // Nothing to clear
+  }
+}
+
+// Returns { field: message } for the fields on the given step. Recipient
+// errors are keyed by recipient id, as RecipientsEditor expects.
+function validateSetupStep(step, formData) {
+  const errors = {};
+
+  if (SETUP_STEPS[step - 1] === 'threshold') {
+    const threshold = Number(formData.threshold);
+    if (formData.threshold === '' || !Number.isInteger(threshold) || threshold < 1) {
+      errors.threshold = t('setup.invalidThreshold');
+    }
+  }
+
+  if (SETUP_STEPS[step - 1] === 'notifications') {
+    const recipientErrors = validateRecipients(formData.recipients);
+    if (Object.keys(recipientErrors).length) errors.recipients = recipientErrors;
+
+    const { quiet_hours: quietHours } = formData.schedule;
+    if (quietHours.enabled && quietHours.start === quietHours.end) {
+      errors.schedule = { quiet_hours: t('setup.invalidQuietHours') };
+    }
+  }
+
+  return errors;
+}
+
+export {
+  SETUP_STEPS,
+  isSetupComplete,
+  createSetupForm,
+  loadProgress,
+  saveProgress,
+  clearProgress,
+  validateSetupStep
+};
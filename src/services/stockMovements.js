@@ -0,0 +1,66 @@
+// src/services/stockMovements.js
+import { t, formatNumber } from './i18n';
+
+// Sales take stock out; restocks and returns usually put it back
+const MOVEMENT_TONES = {
+  sale: undefined,
+  adjustment: 'attention',
+  restock: 'success',
+  return: 'info',
+};
+
+// Same values as the reasons in AdjustInventoryModal
+const ADJUSTMENT_REASONS = ['received', 'correction', 'damaged', 'returned', 'other'];
+
+// Types and reasons the app doesn't know are shown as the API sent them
+function getMovementType(type) {
+  if (!(type in MOVEMENT_TONES)) return { label: type, tone: undefined };
+  return { label: t(`variant.movementTypes.${type}`), tone: MOVEMENT_TONES[type] };
+}
+
+const formatReason = (reason) =>
+  (ADJUSTMENT_REASONS.includes(reason) ? t(`variant.reasons.${reason}`) : reason);
+
+// -3 -> '-3', 5 -> '+5'
+const formatQuantityChange = (quantity) => formatNumber(quantity, { signDisplay: 'exceptZero' });
+
+function describeMovement(movement) {
+  return [
+    movement.reason && formatReason(movement.reason),
+    movement.note,
+    movement.reference,
+    movement.location_name,
+  ].filter(Boolean).join(' · ') || '-';
+}
+
+// Units sold and the net of everything else over the movements given
+function summarizeMovements(movements) {
+  return movements.reduce((totals, movement) => {
+    if (movement.type === 'sale') {
+      totals.sold -= movement.quantity;
+    } else {
+      totals.adjusted += movement.quantity;
+    }
+    return totals;
+  }, { sold: 0, adjusted: 0 });
+}
+
+// The last day the level went from above the threshold to at or below it
+function findThresholdCrossing(history, threshold) {
+  for (let index = history.length - 1; index > 0; index -= 1) {
+    if (history[index - 1].stock_quantity > threshold && history[index].stock_quantity <= threshold) {
+      return history[index].date;
+    }
+  }
+  return null;
+}
+
+export {
+  ADJUSTMENT_REASONS,
+  getMovementType,
+  formatReason,
+  formatQuantityChange,
+  describeMovement,
+  summarizeMovements,
+  findThresholdCrossing
+};
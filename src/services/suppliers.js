@@ -0,0 +1,65 @@
+// src/services/suppliers.js
+import { toNumericId } from './thresholds';
+import { t } from './i18n';
+
+function createSupplier() {
+  return {
+    name: '',
+    email: '',
+    lead_time_days: '',
+    vendors: [],
+    products: [],
+  };
+}
+
+// A supplier linked to the item's product wins over one linked by vendor
+function findSupplier(item, suppliers = []) {
+  const productId = toNumericId(item.product_id);
+  const byProduct = suppliers.find((supplier) =>
+    (supplier.products || []).some((product) => toNumericId(product.id) === productId)
+  );
+  if (byProduct) return byProduct;
+
+  const vendor = (item.vendor || '').toLowerCase();
+  if (!vendor) return null;
+  return suppliers.find((supplier) =>
+    (supplier.vendors || []).some((name) => name.toLowerCase() === vendor)
+  ) || null;
+}
+
+const restockQuantity = (item) =>
+  item.reorder_quantity > 0 ? item.reorder_quantity : Math.max(1, item.threshold * 2 - item.stock_quantity);
+
+function buildRestockMessage(supplier, items, storeName) {
+  const lines = items.map((item) => {
+    const name = item.variant_name ? `${item.product_name} - ${item.variant_name}` : item.product_name;
+    return `- ${item.sku || t('restock.noSku')}: ${name} x ${restockQuantity(item)}`;
+  });
+
+  return {
+    to: supplier.email,
+    subject: t('restock.subject', { store: storeName || t('restock.ourStore') }),
+    body: [
+      t('restock.greeting', { name: supplier.name }),
+      '',
+      t('restock.intro'),
+      '',
+      ...lines,
+      '',
+      t('restock.confirm'),
+      '',
+      t('restock.signOff'),
+      storeName || '',
+    ].join('\n'),
+  };
+}
+
+const buildMailtoUrl = ({ to, subject, body }) =>
+  `mailto:${encodeURIComponent(to)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+export {
+  createSupplier,
+  findSupplier,
+  buildRestockMessage,
+  buildMailtoUrl
+};
@@ -0,0 +1,137 @@
+// src/services/thresholds.js
+import { t } from './i18n';
+import { getLocationQuantity, getLocationThreshold } from './locations';
+import { forecastItem, getCoverSeverity, worstSeverity } from './forecast';
+
+// Override scopes, most specific first. The first matching scope wins.
+const OVERRIDE_SCOPES = ['variant', 'sku', 'product', 'collection', 'vendor'];
+
+const getScopeOptions = () =>
+  OVERRIDE_SCOPES.map((value) => ({ label: t(`thresholds.scopes.${value}`), value }));
+
+const DEFAULT_THRESHOLD = 10;
+
+// Shopify resource pickers return GIDs (gid://shopify/Product/123),
+// while the low-stock API returns plain numeric IDs
+const toNumericId = (id) => {
+  if (id === null || id === undefined) return '';
+  return String(id).split('/').pop();
+};
+
+const matchesScope = (item, override) => {
+  const value = String(override.value ?? '').trim();
+  if (!value) return false;
+
+  switch (override.scope) {
+    case 'variant':
+      return toNumericId(item.variant_id) === toNumericId(value);
+    case 'sku':
+      return (item.sku || '').toLowerCase() === value.toLowerCase();
+    case 'product':
+      return toNumericId(item.product_id) === toNumericId(value);
+    case 'collection':
+      return (item.collection_ids || []).some((id) => toNumericId(id) === toNumericId(value));
+    case 'vendor':
+      return (item.vendor || '').toLowerCase() === value.toLowerCase();
+    default:
+      return false;
+  }
+};
+
+// Returns the override that applies to an item, or null when the global threshold applies
+function findOverride(item, overrides = []) {
+  for (const scope of OVERRIDE_SCOPES) {
+    const match = overrides.find(
+      (override) => override.scope === scope && matchesScope(item, override)
+    );
+    if (match) return match;
+  }
+  return null;
+}
+
+// An override of 0 is deliberate (alert only when sold out), so only missing
+// or non-numeric values fall back to the default
+function getEffectiveThreshold(item, overrides = [], globalThreshold = DEFAULT_THRESHOLD) {
+  const override = findOverride(item, overrides);
+  const value = override ? override.threshold : globalThreshold;
+  const threshold = value === null || value === '' ? NaN : Number(value);
+  return Number.isFinite(threshold) ? threshold : DEFAULT_THRESHOLD;
+}
+
+// The highest threshold any item can end up with: the global one, every
+// override and every location threshold
+function getMaxThreshold(settings = {}) {
+  const values = [
+    settings.threshold,
+    ...(settings.threshold_overrides || []).map((override) => override.threshold),
+    ...Object.values(settings.location_thresholds || {}),
+  ]
+    .filter((value) => value !== null && value !== '')
+    .map(Number)
+    .filter(Number.isFinite);
+  return values.length ? Math.max(...values) : DEFAULT_THRESHOLD;
+}
+
+// What the low-stock endpoint is asked for. The backend flags items against the
+// global threshold, so an override above it would never get a chance to match;
+// asking up to the highest threshold returns every item that could be low, and
+// the Dashboard narrows them down per item. location_ids has the backend count
+// stock at those locations only, as the Dashboard does, so a variant that is
+// low at the picked location but not across the store still comes back. With
+// cover alerts on, cover_days also asks for items with that many days of cover
+// or fewer, however many units they have left.
+function getCandidateQuery(settings = {}, locationId = null) {
+  const locationIds = locationId ? [locationId] : settings.alert_location_ids || [];
+  const coverDays = Number(settings.cover_alert_days);
+  return {
+    threshold: getMaxThreshold(settings),
+    ...(locationIds.length ? { location_ids: locationIds.join(',') } : {}),
+    ...(settings.cover_alert_enabled && coverDays > 0 ? { cover_days: coverDays } : {}),
+  };
+}
+
+// 'critical' at or below half the threshold, 'warning' at or below it, otherwise 'ok'
+function getSeverity(quantity, threshold) {
+  if (quantity <= threshold / 2) return 'critical';
+  if (quantity <= threshold) return 'warning';
+  return 'ok';
+}
+
+// One item measured against its threshold, worked out the same way on every
+// page. Stock is counted at locationId when one is picked, otherwise across
+// the locations alerts count. A location's own threshold beats the overrides,
+// which beat the store threshold; with cover alerts on, selling out within
+// cover_alert_days makes an item low as well.
+function assessItem(item, settings = {}, { locationId = null, storeThreshold = settings.threshold } = {}) {
+  const quantity = getLocationQuantity(item, locationId ? [locationId] : settings.alert_location_ids || []);
+  const locationThreshold = locationId ? getLocationThreshold(settings.location_thresholds, locationId) : null;
+  const override = locationThreshold === null ? findOverride(item, settings.threshold_overrides) : null;
+  const threshold = locationThreshold ?? getEffectiveThreshold(item, settings.threshold_overrides, storeThreshold);
+  const forecast = forecastItem(item, quantity);
+  const coverAlertDays = settings.cover_alert_enabled ? Number(settings.cover_alert_days) : null;
+
+  return {
+    quantity,
+    threshold,
+    locationThreshold,
+    override,
+    forecast,
+    severity: worstSeverity(
+      getSeverity(quantity, threshold),
+      getCoverSeverity(forecast.days_of_cover, coverAlertDays)
+    ),
+  };
+}
+
+export {
+  OVERRIDE_SCOPES,
+  getScopeOptions,
+  DEFAULT_THRESHOLD,
+  toNumericId,
+  findOverride,
+  getEffectiveThreshold,
+  getMaxThreshold,
+  getCandidateQuery,
+  getSeverity,
+  assessItem
+};